@@ -1,33 +1,63 @@
-import React, { useState } from "react";
-import TDSectionManager from "./TDSectionManager";
-import ParentsView from "./ParentsView";
+import React, { useEffect, useState } from "react";
+import { subscribeTournaments, createTournament } from "./services/firestoreService";
+import TournamentTD from "./TournamentTD";
+import PublicView from "./PublicView";
 
 export default function App() {
-  const [view, setView] = useState("parents"); // "td" or "parents"
-  const [section, setSection] = useState("Open");
+  const [view, setView] = useState("public"); // "td" or "public"
+  const [tournaments, setTournaments] = useState([]);
+  const [tournamentId, setTournamentId] = useState("");
+  const [newName, setNewName] = useState("");
+  const [error, setError] = useState(null);
+
+  useEffect(() => subscribeTournaments(setTournaments), []);
+
+  // start on the newest tournament
+  useEffect(() => {
+    if (!tournamentId && tournaments.length) setTournamentId(tournaments[0].id);
+  }, [tournaments, tournamentId]);
+
+  const addTournament = async () => {
+    try {
+      setTournamentId(await createTournament(newName.trim()));
+      setNewName("");
+      setView("td");
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
 
   return (
     <div>
       <h1>LR Knights Chess Tournament</h1>
       <div>
-        <button onClick={() => setView("parents")}>Parents View</button>
+        <button onClick={() => setView("public")}>Parents View</button>
         <button onClick={() => setView("td")}>TD Dashboard</button>
       </div>
 
       <div>
-        <label>Select Section: </label>
-        <select value={section} onChange={(e) => setSection(e.target.value)}>
-          <option value="Open">Open</option>
-          <option value="U1200">U1200</option>
-          <option value="U800">U800</option>
+        <label>Select Tournament: </label>
+        <select value={tournamentId} onChange={(e) => setTournamentId(e.target.value)}>
+          {!tournaments.length && <option value="">(none yet)</option>}
+          {tournaments.map((t) => (
+            <option key={t.id} value={t.id}>
+              {t.name}{t.startDate ? ` (${t.startDate})` : ""}
+            </option>
+          ))}
         </select>
+        {view === "td" && (
+          <span>
+            {" "}
+            <input value={newName} placeholder="New tournament name" onChange={(e) => setNewName(e.target.value)} />
+            <button disabled={!newName.trim()} onClick={addTournament}>Create</button>
+          </span>
+        )}
+        {error && <p>{error}</p>}
       </div>
 
-      {view === "td" ? (
-        <TDSectionManager section={section} />
-      ) : (
-        <ParentsView section={section} />
-      )}
+      {tournamentId &&
+        (view === "td" ? <TournamentTD tournamentId={tournamentId} /> : <PublicView tournamentId={tournamentId} />)}
     </div>
   );
 }
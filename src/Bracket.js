@@ -0,0 +1,49 @@
+import React from "react";
+import { matchWinner } from "./services/knockout";
+
+// Knockout bracket tree: one column per round, matches in bracket order, winners in bold.
+// Rounds that are not paired yet show empty slots so the whole tree is visible from the start.
+export default function Bracket({ players = [], rounds = [], meta = {} }) {
+  const nameOf = (id) => players.find((p) => p.id === id)?.name || "";
+  const size = meta.bracket?.size || 0;
+  const totalRounds = meta.plannedRounds || rounds.length;
+  const columns = [];
+  for (let r = 1; r <= totalRounds; r++) {
+    const round = rounds.find((x) => x.number === r);
+    const slots = size ? size / 2 ** r : 0;
+    const matches = round ? round.pairings.slice().sort((a, b) => a.slot - b.slot) : Array.from({ length: slots }, () => null);
+    columns.push({ number: r, matches });
+  }
+
+  const label = (p, id) => {
+    if (!id) return p && p.isBye ? "BYE" : "TBD";
+    const name = nameOf(id);
+    return matchWinner(p) === id ? <strong>{name}</strong> : name;
+  };
+
+  return (
+    <div style={{ display: "flex", gap: "1em" }}>
+      {columns.map((col) => (
+        <div key={col.number}>
+          <h4>{col.number === totalRounds ? "Final" : `Round ${col.number}`}</h4>
+          {col.matches.map((p, i) => (
+            <div key={i} style={{ border: "1px solid", margin: "0.5em 0", padding: "0.25em" }}>
+              <div>{label(p, p?.whiteId)}</div>
+              <div>{label(p, p?.blackId)}</div>
+              {p?.result && !p.isBye && <small>{p.result}</small>}
+              {(p?.playoffs || []).map((g, k) => (
+                <small key={k}> | {g.type} {g.result}</small>
+              ))}
+            </div>
+          ))}
+        </div>
+      ))}
+      {meta.championId && (
+        <div>
+          <h4>Champion</h4>
+          <strong>{nameOf(meta.championId)}</strong>
+        </div>
+      )}
+    </div>
+  );
+}
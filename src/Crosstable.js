@@ -0,0 +1,112 @@
+import React from "react";
+import { computeTieBreaks, rankStandings, TIEBREAK_ORDER, TIEBREAK_LABELS } from "./services/tiebreaks";
+import { byeCode } from "./services/byes";
+import { estimateRatings } from "./services/ratings";
+
+// Estimated post-event rating (P while provisional, change in brackets) and performance rating
+function estimateCells(est) {
+  if (!est || !est.games) return [<td key="est" />, <td key="perf" />];
+  const change = est.change == null ? "" : ` (${est.change >= 0 ? "+" : ""}${est.change})`;
+  return [<td key="est">{est.newRating}{est.provisional ? "P" : ""}{change}</td>, <td key="perf">{est.performance}</td>];
+}
+
+const ESTIMATE_NOTE = "Est. rating and Perf. are estimates only; official ratings come from US Chess once the event is rated.";
+
+function resultSymbol(result) {
+  if (result === 1) return "1";
+  if (result === 0.5) return "½";
+  if (result === 0) return "0";
+  return "";
+}
+
+// Swiss: one column per round (W/L/D + opponent's place; forfeits X won, F lost; byes B full
+// point, H half, U zero; – not in the round). Round robin: the full N×N grid. Rows follow the
+// section's tiebreak list; places still tied after every tiebreak read "3-4".
+export default function Crosstable({ players = [], rounds = [], format = "swiss", tiebreaks }) {
+  const copies = players.map((p) => ({ ...p }));
+  computeTieBreaks(copies);
+  const order = tiebreaks || TIEBREAK_ORDER[format] || TIEBREAK_ORDER.swiss;
+  const standings = rankStandings(copies, order);
+  const place = new Map(standings.map((p, i) => [p.id, i + 1]));
+  const estimates = estimateRatings(players);
+
+  if (format === "roundrobin") {
+    return (
+      <div>
+        <table border="1">
+          <thead>
+            <tr>
+              <th>#</th><th>Name</th>
+              {standings.map((p, i) => <th key={p.id}>{i + 1}</th>)}
+              <th>Total</th>
+              {order.map((key) => <th key={key}>{TIEBREAK_LABELS[key]}</th>)}
+              <th>Est. rating</th><th>Perf.</th>
+            </tr>
+          </thead>
+          <tbody>
+            {standings.map((p, i) => (
+              <tr key={p.id}>
+                <td>{p.placeLabel}</td>
+                <td>{p.name}{p.withdrawn ? " (withdrawn)" : ""}</td>
+                {standings.map((opp) => (
+                  <td key={opp.id}>
+                    {opp.id === p.id
+                      ? "X"
+                      : (p.results || [])
+                          .filter((r) => r.oppId === opp.id)
+                          .sort((a, b) => a.round - b.round)
+                          .map((r) => (r.forfeit ? (r.result === 1 ? "+" : "-") : resultSymbol(r.result)))
+                          .join(" ")}
+                  </td>
+                ))}
+                <td>{p.score || 0}</td>
+                {order.map((key) => <td key={key}>{p[key]}</td>)}
+                {estimateCells(estimates.get(p.id))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <p><small>{ESTIMATE_NOTE}</small></p>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <table border="1">
+        <thead>
+          <tr>
+            <th>#</th><th>Name</th><th>Rating</th>
+            {rounds.map((r) => <th key={r.id || r.number}>R{r.number}</th>)}
+            <th>Total</th>
+            {order.map((key) => <th key={key}>{TIEBREAK_LABELS[key]}</th>)}
+            <th>Est. rating</th><th>Perf.</th>
+          </tr>
+        </thead>
+        <tbody>
+          {standings.map((p, i) => (
+            <tr key={p.id}>
+              <td>{p.placeLabel}</td>
+              <td>{p.name}{p.withdrawn ? " (withdrawn)" : ""}</td>
+              <td>{p.rating}</td>
+              {rounds.map((r) => {
+                const res = (p.results || []).find((x) => x.round === r.number);
+                // not in the round at all: withdrawn by then, or not entered yet
+                const paired = (r.pairings || []).some((x) => x.whiteId === p.id || x.blackId === p.id);
+                let cell = r.pairings && !paired ? "–" : "";
+                if (res && res.isBye) cell = byeCode(res);
+                else if (res && res.forfeit) cell = (res.result === 1 ? "X" : "F") + (place.get(res.oppId) || "");
+                else if (res) cell = ({ 1: "W", 0.5: "D", 0: "L" }[res.result] || "") + (place.get(res.oppId) || "");
+                return <td key={r.id || r.number}>{cell}</td>;
+              })}
+              <td>{p.score || 0}</td>
+              {order.map((key) => <td key={key}>{p[key]}</td>)}
+              {estimateCells(estimates.get(p.id))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p><small>{ESTIMATE_NOTE}</small></p>
+    </div>
+  );
+}
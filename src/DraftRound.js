@@ -0,0 +1,125 @@
+import React, { useEffect, useState } from "react";
+import {
+  subscribeDraftRound,
+  generateDraftRound,
+  editDraftPairings,
+  publishDraftRound,
+  discardDraftRound,
+  rollbackLatestRound,
+} from "./services/firestoreService";
+import { swapColors, setSeat, addBoard, removeBoard } from "./services/draftRound";
+
+// TD-only preview of the next round: pair it, fix it up by hand, then publish it to the
+// players (and the public views) or throw it away. "Undo last round" rolls a published round back.
+export default function DraftRound({ tournamentId, sectionId, players = [] }) {
+  const [draft, setDraft] = useState(null);
+  const [allowRepeats, setAllowRepeats] = useState(false);
+  const [acceptWarnings, setAcceptWarnings] = useState(false);
+  const [publishing, setPublishing] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!tournamentId || !sectionId) return;
+    return subscribeDraftRound(tournamentId, sectionId, setDraft);
+  }, [tournamentId, sectionId]);
+
+  const run = async (action) => {
+    try {
+      await action();
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+  const rollback = () =>
+    run(async () => {
+      try {
+        await rollbackLatestRound(tournamentId, sectionId);
+      } catch (err) {
+        // results already entered: only go ahead once the TD confirms they are thrown away
+        if (!/force/.test(err.message) || !window.confirm(err.message + "?")) throw err;
+        await rollbackLatestRound(tournamentId, sectionId, { force: true });
+      }
+    });
+  const publish = async () => {
+    setPublishing(true);
+    await run(() => publishDraftRound(tournamentId, sectionId, { acceptWarnings }));
+    setPublishing(false);
+  };
+  const edit = (fn) => run(() => editDraftPairings(tournamentId, sectionId, fn));
+
+  const active = players.filter((p) => !p.withdrawn).sort((a, b) => a.name.localeCompare(b.name));
+  const seatSelect = (pp, board, side) => (
+    <select
+      value={(side === "white" ? pp.whiteId : pp.blackId) || ""}
+      onChange={(e) => edit((p) => setSeat(p, board, side, e.target.value || null))}
+    >
+      <option value="">{side === "black" ? "BYE" : "(empty)"}</option>
+      {active.map((p) => <option key={p.id} value={p.id}>{p.name}</option>)}
+    </select>
+  );
+
+  const checks = draft?.checks || { errors: [], warnings: [] };
+
+  return (
+    <div>
+      <h3>{draft ? `Draft round ${draft.number}` : "Next round"}</h3>
+      <label>
+        <input type="checkbox" checked={allowRepeats} onChange={(e) => setAllowRepeats(e.target.checked)} /> allow repeat pairings
+      </label>{" "}
+      <button onClick={() => run(() => generateDraftRound(tournamentId, sectionId, { allowRepeats }))}>
+        {draft ? "Regenerate" : "Pair draft"}
+      </button>{" "}
+      <button onClick={rollback}>Undo last round</button>
+      {error && <p>{error}</p>}
+
+      {draft && (
+        <div>
+          <table border="1">
+            <thead>
+              <tr>
+                <th>Board</th><th>White</th><th>Black</th><th>Note</th><th />
+              </tr>
+            </thead>
+            <tbody>
+              {draft.pairings.map((pp, i) => (
+                <tr key={i}>
+                  <td>{i + 1}</td>
+                  <td title={pp.whiteReason}>{seatSelect(pp, i, "white")}</td>
+                  <td title={pp.blackReason}>{seatSelect(pp, i, "black")}</td>
+                  <td>{pp.tdNote}</td>
+                  <td>
+                    {!pp.isBye && <button onClick={() => edit((p) => swapColors(p, i))}>Swap colors</button>}
+                    <button onClick={() => edit((p) => removeBoard(p, i))}>Remove</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <button onClick={() => edit((p) => addBoard(p, null))}>Add board</button>
+
+          {checks.errors.length > 0 && (
+            <ul>
+              {checks.errors.map((m, i) => <li key={i}>{m}</li>)}
+            </ul>
+          )}
+          {checks.warnings.length > 0 && (
+            <ul>
+              {checks.warnings.map((m, i) => <li key={i}>warning: {m}</li>)}
+            </ul>
+          )}
+
+          {checks.warnings.length > 0 && (
+            <label>
+              <input type="checkbox" checked={acceptWarnings} onChange={(e) => setAcceptWarnings(e.target.checked)} /> accept warnings
+            </label>
+          )}{" "}
+          <button disabled={publishing || checks.errors.length > 0} onClick={publish}>
+            Publish round {draft.number}
+          </button>
+          <button onClick={() => run(() => discardDraftRound(tournamentId, sectionId))}>Discard draft</button>
+        </div>
+      )}
+    </div>
+  );
+}
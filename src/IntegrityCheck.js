@@ -0,0 +1,60 @@
+import React, { useState } from "react";
+import { checkSectionIntegrity, repairSection } from "./services/firestoreService";
+
+const show = (v) => (Array.isArray(v) ? v.map((x) => (typeof x === "object" ? JSON.stringify(x) : x)).join(" ") : String(v));
+
+// TD check that the player docs still match the rounds, with a one-click repair.
+export default function IntegrityCheck({ tournamentId, sectionId }) {
+  const [diffs, setDiffs] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const check = async () => {
+    try {
+      setDiffs(await checkSectionIntegrity(tournamentId, sectionId));
+      setMessage(null);
+    } catch (err) {
+      setMessage(err.message);
+    }
+  };
+
+  const repair = async () => {
+    try {
+      const fixed = await repairSection(tournamentId, sectionId);
+      setMessage(`Repaired ${fixed.length} field(s)`);
+      setDiffs(await checkSectionIntegrity(tournamentId, sectionId));
+    } catch (err) {
+      setMessage(err.message);
+    }
+  };
+
+  return (
+    <div>
+      <h3>Integrity check</h3>
+      <button onClick={check}>Check players against rounds</button>
+      {message && <p>{message}</p>}
+      {diffs && diffs.length === 0 && <p>Every player matches the rounds.</p>}
+      {diffs && diffs.length > 0 && (
+        <div>
+          <table border="1">
+            <thead>
+              <tr>
+                <th>Player</th><th>Field</th><th>Stored</th><th>From rounds</th>
+              </tr>
+            </thead>
+            <tbody>
+              {diffs.map((d, i) => (
+                <tr key={i}>
+                  <td>{d.name}</td>
+                  <td>{d.field}</td>
+                  <td>{show(d.stored)}</td>
+                  <td>{show(d.derived)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <button onClick={repair}>Repair</button>
+        </div>
+      )}
+    </div>
+  );
+}
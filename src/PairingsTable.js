@@ -1,6 +1,35 @@
-import React from "react";
+import React, { useState } from "react";
+import { matchWinner } from "./services/knockout";
 
-export default function PairingsTable({ pairings, enterResult }) {
+// Tiebreak games for a drawn knockout match (see knockout.js): pick the game type and who has
+// White, then the result. A drawn Armageddon game goes to Black.
+function PlayoffEntry({ pairing, onRecord }) {
+  const [type, setType] = useState("rapid");
+  const [whiteId, setWhiteId] = useState(pairing.whiteId);
+  const record = (result) => onRecord({ type, whiteId, result });
+  return (
+    <div>
+      Playoff:{" "}
+      <select value={type} onChange={(e) => setType(e.target.value)}>
+        <option value="rapid">Rapid</option>
+        <option value="armageddon">Armageddon</option>
+      </select>
+      <select value={whiteId} onChange={(e) => setWhiteId(e.target.value)}>
+        <option value={pairing.whiteId}>{pairing.white?.name} has White</option>
+        <option value={pairing.blackId}>{pairing.black?.name} has White</option>
+      </select>
+      <button onClick={() => record("1-0")}>1-0</button>
+      <button onClick={() => record("0-1")}>0-1</button>
+      <button onClick={() => record("½-½")}>½-½</button>
+      {(pairing.playoffs || []).map((g, k) => (
+        <small key={k}> | {g.type} {g.result}</small>
+      ))}
+    </div>
+  );
+}
+
+// recordPlayoff (optional, knockout sections): (index, { type, whiteId, result }) for drawn matches
+export default function PairingsTable({ pairings, enterResult, recordPlayoff }) {
   return (
     <table border="1">
       <thead>
@@ -12,13 +41,19 @@ export default function PairingsTable({ pairings, enterResult }) {
         {pairings.map((p, i) => (
           <tr key={i}>
             <td>{i + 1}</td>
-            <td>{p.white?.name}</td>
-            <td>{p.black?.name || "BYE"}</td>
+            <td title={p.whiteReason}>{p.white?.name}</td>
+            <td title={p.blackReason}>{p.black?.name || "BYE"}</td>
             <td>
               <button onClick={() => enterResult(i, "1-0")}>1-0</button>
               <button onClick={() => enterResult(i, "0-1")}>0-1</button>
               <button onClick={() => enterResult(i, "½-½")}>½-½</button>
+              <button onClick={() => enterResult(i, "1F-0F")}>1F-0F</button>
+              <button onClick={() => enterResult(i, "0F-1F")}>0F-1F</button>
+              <button onClick={() => enterResult(i, "0F-0F")}>0F-0F</button>
               {p.result}
+              {recordPlayoff && !p.isBye && p.result && !matchWinner(p) && (
+                <PlayoffEntry pairing={p} onRecord={(game) => recordPlayoff(i, game)} />
+              )}
             </td>
           </tr>
         ))}
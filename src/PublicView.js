@@ -1,6 +1,11 @@
 // src/PublicView.jsx
 import React, { useEffect, useState } from "react";
 import { subscribeAllSections, subscribeSectionData } from "./services/firestoreService";
+import Crosstable from "./Crosstable";
+import QuadReport from "./QuadReport";
+import Bracket from "./Bracket";
+import TeamStandings from "./TeamStandings";
+import { sectionState, stateLabel } from "./services/lifecycle";
 
 export default function PublicView({ tournamentId }) {
   const [sections, setSections] = useState([]);
@@ -45,7 +50,20 @@ export default function PublicView({ tournamentId }) {
         return (
           <section key={s.id}>
             <h2>{s.name}</h2>
+            <p>{stateLabel(sectionState(content.meta || s, rounds))}</p>
             {/* render pairings & standings (read-only) */}
+            {(content.meta?.format || s.format) === "knockout" ? (
+              <Bracket players={players} rounds={rounds} meta={content.meta || s} />
+            ) : (
+              <Crosstable
+                players={players}
+                rounds={rounds}
+                format={content.meta?.format || s.format}
+                tiebreaks={content.meta?.tiebreaks || s.tiebreaks}
+              />
+            )}
+            {s.quadOf && <QuadReport name={s.name} players={players} />}
+            <TeamStandings players={players} teamScoring={content.meta?.teamScoring || s.teamScoring} />
           </section>
         );
       })}
@@ -0,0 +1,23 @@
+import React from "react";
+import { quadWinners } from "./services/quads";
+
+// Winner report for one quad: the winner (or co-winners on equal score) and the final order.
+export default function QuadReport({ name, players = [] }) {
+  const { winners, score, standings } = quadWinners(players);
+  if (!standings.length) return null;
+  return (
+    <div>
+      <h3>{name} winner report</h3>
+      <p>
+        {winners.length > 1 ? "Co-winners" : "Winner"}: {winners.map((p) => p.name).join(", ")} ({score} pts)
+      </p>
+      <ol>
+        {standings.map((p) => (
+          <li key={p.id}>
+            {p.name} ({p.rating}) – {p.score || 0}
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
@@ -0,0 +1,37 @@
+import React, { useState } from "react";
+import { exportRatingReport } from "./services/firestoreService";
+import downloadText from "./download";
+
+// TD download of the US Chess rating report files, or the list of what still blocks them.
+export default function RatingReport({ tournamentId }) {
+  const [problems, setProblems] = useState([]);
+  const [message, setMessage] = useState(null);
+
+  const build = async () => {
+    try {
+      const report = await exportRatingReport(tournamentId);
+      setProblems(report.problems);
+      if (report.files) {
+        report.files.forEach((f) => downloadText(f.name, f.content, "text/csv"));
+        setMessage(`Downloaded ${report.files.map((f) => f.name).join(", ")}`);
+      } else {
+        setMessage("Fix these before the report can go out:");
+      }
+    } catch (err) {
+      setMessage(err.message);
+    }
+  };
+
+  return (
+    <div>
+      <h3>Rating report</h3>
+      <button onClick={build}>Download US Chess rating report</button>
+      {message && <p>{message}</p>}
+      {problems.length > 0 && (
+        <ul>
+          {problems.map((p, i) => <li key={i}>{p}</li>)}
+        </ul>
+      )}
+    </div>
+  );
+}
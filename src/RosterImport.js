@@ -0,0 +1,124 @@
+import React, { useState } from "react";
+import { previewRosterImport, importRoster } from "./services/firestoreService";
+import { ROSTER_FIELDS } from "./services/rosterImport";
+
+// Bulk registration: pick a CSV/TSV file, check the column mapping and the validation preview,
+// then import the accepted rows and show the report. Rows outside their section's eligibility
+// rules can be let in with a reason, which re-runs the preview.
+export default function RosterImport({ tournamentId }) {
+  const [text, setText] = useState("");
+  const [result, setResult] = useState(null); // { headers, mapping, preview }
+  const [report, setReport] = useState(null);
+  const [overrides, setOverrides] = useState({}); // { [row]: reason }
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const runPreview = async (fileText, mapping = null, rowOverrides = overrides) => {
+    try {
+      setResult(await previewRosterImport(tournamentId, fileText, { mapping, overrides: rowOverrides }));
+      setReport(null);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const loadFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const fileText = await file.text();
+    setText(fileText);
+    setOverrides({});
+    runPreview(fileText, null, {});
+  };
+
+  const remap = (field, index) => runPreview(text, { ...result.mapping, [field]: Number(index) });
+
+  const applyOverrides = () => runPreview(text, result.mapping);
+
+  const doImport = async () => {
+    setBusy(true);
+    try {
+      setReport(await importRoster(tournamentId, result.preview));
+      setResult(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const accepted = result ? result.preview.filter((r) => r.accepted).length : 0;
+
+  return (
+    <div>
+      <h3>Import roster</h3>
+      <input type="file" accept=".csv,.tsv,.txt" onChange={loadFile} />
+      {error && <p>{error}</p>}
+
+      {result && (
+        <div>
+          <div>
+            {ROSTER_FIELDS.map((field) => (
+              <label key={field}>
+                {field}:{" "}
+                <select value={result.mapping[field]} onChange={(e) => remap(field, e.target.value)}>
+                  <option value={-1}>(none)</option>
+                  {result.headers.map((h, i) => <option key={i} value={i}>{h}</option>)}
+                </select>{" "}
+              </label>
+            ))}
+          </div>
+          <table border="1">
+            <thead>
+              <tr>
+                <th>Row</th><th>Name</th><th>Section</th><th>Rating</th><th>USCF ID</th><th>Grade</th><th>School</th><th>Byes</th><th>Problems</th><th>Override reason</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.preview.map((r) => (
+                <tr key={r.row}>
+                  <td>{r.row}</td>
+                  <td>{r.player.name}</td>
+                  <td>{r.sectionName}</td>
+                  <td>{r.player.rating || "Unr."}</td>
+                  <td>{r.player.uscfId}</td>
+                  <td>{r.player.grade === 0 ? "K" : r.player.grade}</td>
+                  <td>{r.player.team}</td>
+                  <td>{r.player.requestedByes.map((b) => `R${b.round}${b.type === "zero" ? "Z" : "H"}`).join(" ")}</td>
+                  <td>{r.errors.concat(r.warnings.map((w) => "warning: " + w)).join("; ")}</td>
+                  <td>
+                    {r.eligibility.length > 0 && (
+                      <input
+                        value={overrides[r.row] || ""}
+                        placeholder="Let in because..."
+                        onChange={(e) => setOverrides({ ...overrides, [r.row]: e.target.value })}
+                      />
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {result.preview.some((r) => r.eligibility.length > 0) && (
+            <button onClick={applyOverrides}>Apply overrides</button>
+          )}
+          <button disabled={busy || !accepted} onClick={doImport}>
+            Import {accepted} of {result.preview.length} players
+          </button>
+        </div>
+      )}
+
+      {report && (
+        <div>
+          <p>Imported {report.accepted} players: {Object.entries(report.bySection).map(([name, n]) => `${name} ${n}`).join(", ")}</p>
+          {report.rejected.length > 0 && (
+            <ul>
+              {report.rejected.map((r) => <li key={r.row}>Row {r.row} {r.name}: {r.errors.join("; ")}</li>)}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,60 @@
+import React, { useEffect, useState } from "react";
+import { setEligibility } from "./services/firestoreService";
+import { eligibilityLabel } from "./services/eligibility";
+
+const EMPTY = { minRating: "", maxRating: "", minGrade: "", maxGrade: "", allowUnrated: true, ratingAsOf: "" };
+
+const toForm = (rules) =>
+  rules
+    ? Object.fromEntries(Object.entries({ ...EMPTY, ...rules }).map(([k, v]) => [k, v === null ? "" : v]))
+    : EMPTY;
+
+// Who may enter the section: rating floor and ceiling, grades (K = 0), unrated players and the
+// date the ratings are taken from. Leaving everything blank makes the section open. Section
+// snapshots only refill the form while it has no unsaved edits.
+export default function SectionEligibility({ tournamentId, sectionId, section = {} }) {
+  const [form, setForm] = useState(toForm(section.eligibility));
+  const [dirty, setDirty] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    if (!dirty) setForm(toForm(section.eligibility));
+  }, [section.eligibility, dirty]);
+
+  const save = async (rules) => {
+    try {
+      await setEligibility(tournamentId, sectionId, rules);
+      setDirty(false);
+      setMessage("Saved");
+    } catch (err) {
+      setMessage(err.message);
+    }
+  };
+
+  const change = (key, value) => {
+    setForm({ ...form, [key]: value });
+    setDirty(true);
+  };
+
+  const field = (key, placeholder, type = "number") => (
+    <input type={type} value={form[key]} placeholder={placeholder} onChange={(e) => change(key, e.target.value)} />
+  );
+
+  return (
+    <div>
+      <h3>Eligibility: {eligibilityLabel(section.eligibility)}</h3>
+      {field("minRating", "Rating floor")}
+      {field("maxRating", "Rating ceiling")}
+      {field("minGrade", "Lowest grade")}
+      {field("maxGrade", "Highest grade")}
+      <label>
+        <input type="checkbox" checked={form.allowUnrated} onChange={(e) => change("allowUnrated", e.target.checked)} />
+        unrated allowed
+      </label>{" "}
+      <label>Ratings as of {field("ratingAsOf", "YYYY-MM-DD", "date")}</label>
+      <button onClick={() => save(form)}>Save eligibility</button>
+      <button onClick={() => save(null)}>Make open</button>
+      {message && <span> {message}</span>}
+    </div>
+  );
+}
@@ -0,0 +1,66 @@
+import React, { useState } from "react";
+import { lockSection, unlockSection, finishSection, reopenSection, createQuads } from "./services/firestoreService";
+import { sectionState, stateLabel, canDo } from "./services/lifecycle";
+
+// Where the section stands (registration, round N in progress, finished...) and the TD
+// buttons that move it on. Only the steps allowed from the current state are offered.
+export default function SectionLifecycle({ tournamentId, sectionId, section = {}, rounds = [] }) {
+  // blank = the tournament's rounds per section (see lockSection)
+  const [plannedRounds, setPlannedRounds] = useState("");
+  const [error, setError] = useState(null);
+  const status = sectionState(section, rounds);
+  const allowed = (action, options = {}) => !canDo(status, action, { ...options, section });
+
+  const lock = () =>
+    run(async () => {
+      const rounds = Number(plannedRounds) || null;
+      try {
+        await lockSection(tournamentId, sectionId, rounds);
+      } catch (err) {
+        // expired or unknown memberships: the TD may lock anyway once they confirm
+        if (!/memberships/.test(err.message) || !window.confirm(err.message + "\n\nLock anyway?")) throw err;
+        await lockSection(tournamentId, sectionId, rounds, { allowExpired: true });
+      }
+    });
+
+  // before the last planned round only on purpose (an event cut short)
+  const finish = () =>
+    run(async () => {
+      const early = !allowed("finish");
+      if (early && !window.confirm(canDo(status, "finish", { section }) + ". Finish the section anyway?")) return;
+      await finishSection(tournamentId, sectionId, { early });
+    });
+
+  const run = async (action) => {
+    try {
+      await action();
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div>
+      <p>
+        <b>{stateLabel(status)}</b>
+        {section.plannedRounds ? ` (${section.plannedRounds} rounds planned)` : ""}
+      </p>
+      {allowed("lock") && (
+        <span>
+          {(section.format || "swiss") === "swiss" && (
+            <input type="number" min="1" value={plannedRounds} placeholder="Rounds" onChange={(e) => setPlannedRounds(e.target.value)} />
+          )}
+          <button onClick={lock}>Lock registration</button>
+        </span>
+      )}
+      {section.format === "quads" && allowed("createQuads") && (
+        <button onClick={() => run(() => createQuads(tournamentId, sectionId))}>Create quads</button>
+      )}
+      {allowed("unlock") && <button onClick={() => run(() => unlockSection(tournamentId, sectionId))}>Reopen registration</button>}
+      {allowed("finish", { early: true }) && <button onClick={finish}>{allowed("finish") ? "Finish section" : "Finish early"}</button>}
+      {allowed("reopen") && <button onClick={() => run(() => reopenSection(tournamentId, sectionId))}>Reopen section</button>}
+      {error && <p>{error}</p>}
+    </div>
+  );
+}
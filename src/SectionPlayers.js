@@ -0,0 +1,154 @@
+import React, { useState } from "react";
+import {
+  withdrawPlayer,
+  reinstatePlayer,
+  addLateEntry,
+  movePlayer,
+  requestBye,
+  cancelRequestedBye,
+} from "./services/firestoreService";
+import { parseGrade } from "./services/rosterImport";
+
+// TD roster of a running section: withdraw a player (from now on or for the next round only),
+// reinstate them, and add late entries with byes for the rounds they missed. A late entry outside
+// the section's eligibility rules needs an override reason. Before round one is paired, players
+// entered in the wrong section can be moved to another (sections: the tournament's sections).
+// In Swiss sections players can ask for a half- or zero-point bye in a round not yet paired.
+export default function SectionPlayers({ tournamentId, sectionId, players = [], rounds = [], sections = [] }) {
+  const [late, setLate] = useState({ name: "", uscfId: "", rating: "", grade: "", missedRounds: "half", overrideReason: "" });
+  const [moveReason, setMoveReason] = useState("");
+  const [bye, setBye] = useState({ playerId: "", round: "", type: "half" });
+  const [error, setError] = useState(null);
+  const others = sections.filter((s) => s.id !== sectionId && !s.finished);
+  const nextRound = rounds.length + 1;
+  const swiss = ((sections.find((s) => s.id === sectionId) || {}).format || "swiss") === "swiss";
+  const sorted = players.slice().sort((a, b) => a.name.localeCompare(b.name));
+
+  const run = async (action) => {
+    try {
+      await action();
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const status = (p) => {
+    if (p.withdrawn) return `withdrawn from round ${p.withdrawnFrom || "?"}`;
+    const notes = (p.requestedByes || []).filter((r) => r.round >= nextRound && r.reason === "withdrawn").map((r) => `R${r.round} out`);
+    if (p.enteredRound > 1) notes.unshift(`late entry (round ${p.enteredRound})`);
+    if (p.eligibilityOverride) notes.push(`entered by override: ${p.eligibilityOverride.reason}`);
+    return notes.join(", ");
+  };
+
+  const move = (playerId, toSectionId) =>
+    run(async () => {
+      await movePlayer(tournamentId, sectionId, toSectionId, playerId, { overrideReason: moveReason.trim() || null });
+      setMoveReason("");
+    });
+
+  const byeRequests = (p) =>
+    (p.withdrawn ? [] : p.requestedByes || [])
+      .filter((r) => r.round >= nextRound && r.reason !== "withdrawn")
+      .map((r) => (
+        <span key={r.round}>
+          {" "}R{r.round} {r.type} bye
+          <button onClick={() => run(() => cancelRequestedBye(tournamentId, sectionId, p.id, r.round))}>x</button>
+        </span>
+      ));
+
+  const addBye = () =>
+    run(async () => {
+      await requestBye(tournamentId, sectionId, bye.playerId, Number(bye.round) || nextRound, bye.type);
+      setBye({ ...bye, playerId: "" });
+    });
+
+  const addLate = () =>
+    run(async () => {
+      const { missedRounds, overrideReason, grade, ...playerData } = late;
+      await addLateEntry(tournamentId, sectionId, { ...playerData, grade: parseGrade(grade) }, {
+        missedRounds: missedRounds || null,
+        overrideReason: overrideReason.trim() || null,
+      });
+      setLate({ name: "", uscfId: "", rating: "", grade: "", missedRounds, overrideReason: "" });
+    });
+
+  return (
+    <div>
+      <h3>Players</h3>
+      {error && <p>{error}</p>}
+      {rounds.length === 0 && others.length > 0 && (
+        <input value={moveReason} placeholder="Override reason for a move (if ineligible)" onChange={(e) => setMoveReason(e.target.value)} />
+      )}
+      <table border="1">
+        <thead>
+          <tr>
+            <th>Name</th><th>Rating</th><th>Score</th><th>Status</th><th />
+          </tr>
+        </thead>
+        <tbody>
+          {sorted.map((p) => (
+            <tr key={p.id}>
+              <td>{p.name}</td>
+              <td>{p.rating || "Unr."}</td>
+              <td>{p.score || 0}</td>
+              <td>{status(p)}{byeRequests(p)}</td>
+              <td>
+                {rounds.length === 0 && others.length > 0 && (
+                  <select value="" onChange={(e) => e.target.value && move(p.id, e.target.value)}>
+                    <option value="">Move to...</option>
+                    {others.map((s) => <option key={s.id} value={s.id}>{s.name}</option>)}
+                  </select>
+                )}
+                {p.withdrawn ? (
+                  <button onClick={() => run(() => reinstatePlayer(tournamentId, sectionId, p.id))}>Reinstate</button>
+                ) : (
+                  <>
+                    <button onClick={() => run(() => withdrawPlayer(tournamentId, sectionId, p.id))}>Withdraw</button>
+                    <button onClick={() => run(() => withdrawPlayer(tournamentId, sectionId, p.id, { round: nextRound }))}>
+                      Out for round {nextRound}
+                    </button>
+                    {(p.requestedByes || []).some((r) => r.reason === "withdrawn" && r.round >= nextRound) && (
+                      <button onClick={() => run(() => reinstatePlayer(tournamentId, sectionId, p.id))}>Reinstate</button>
+                    )}
+                  </>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {swiss && (
+        <div>
+          <h4>Bye request</h4>
+          <select value={bye.playerId} onChange={(e) => setBye({ ...bye, playerId: e.target.value })}>
+            <option value="">Player...</option>
+            {sorted.filter((p) => !p.withdrawn).map((p) => <option key={p.id} value={p.id}>{p.name}</option>)}
+          </select>
+          <input type="number" min={nextRound} value={bye.round} placeholder={`Round (${nextRound})`} onChange={(e) => setBye({ ...bye, round: e.target.value })} />
+          <select value={bye.type} onChange={(e) => setBye({ ...bye, type: e.target.value })}>
+            <option value="half">half-point bye</option>
+            <option value="zero">zero-point bye</option>
+          </select>
+          <button disabled={!bye.playerId} onClick={addBye}>Request bye</button>
+        </div>
+      )}
+
+      <h4>Late entry</h4>
+      <input value={late.name} placeholder="Name" onChange={(e) => setLate({ ...late, name: e.target.value })} />
+      <input value={late.uscfId} placeholder="USCF ID" onChange={(e) => setLate({ ...late, uscfId: e.target.value })} />
+      <input value={late.rating} placeholder="Rating" onChange={(e) => setLate({ ...late, rating: e.target.value })} />
+      <input value={late.grade} placeholder="Grade (K-12)" onChange={(e) => setLate({ ...late, grade: e.target.value })} />
+      {rounds.length > 0 && (
+        <select value={late.missedRounds} onChange={(e) => setLate({ ...late, missedRounds: e.target.value })}>
+          <option value="half">half-point byes for rounds 1-{rounds.length}</option>
+          <option value="zero">zero-point byes for rounds 1-{rounds.length}</option>
+          <option value="">no byes for missed rounds</option>
+        </select>
+      )}
+      <input value={late.overrideReason} placeholder="Override reason (if ineligible)" onChange={(e) => setLate({ ...late, overrideReason: e.target.value })} />
+      <button disabled={!late.name.trim()} onClick={addLate}>Add late entry</button>
+    </div>
+  );
+}
@@ -0,0 +1,241 @@
+import React, { useEffect, useState } from "react";
+import {
+  setAcceleration,
+  setInitialColor,
+  setMaxHalfPointByes,
+  setTiebreaks,
+  setTeamScoring,
+  setAvoidanceRules,
+  addAvoidancePair,
+  removeAvoidancePair,
+} from "./services/firestoreService";
+import { TIEBREAKS, TIEBREAK_LABELS, TIEBREAK_ORDER } from "./services/tiebreaks";
+import { DEFAULT_TEAM_SCORING } from "./services/teams";
+import { DEFAULT_AVOIDANCE } from "./services/avoidance";
+
+const toForm = (section, avoidance = { ...DEFAULT_AVOIDANCE, ...section.avoidance }) => ({
+  accelMethod: section.acceleration ? section.acceleration.method : "",
+  accelRounds: section.acceleration ? section.acceleration.rounds : 2,
+  accelCutoff: section.acceleration?.cutoffRating ?? "",
+  initialColor: section.initialColor || "random",
+  maxHalfPointByes: section.maxHalfPointByes ?? "",
+  tiebreaks: section.tiebreaks || TIEBREAK_ORDER[section.format || "swiss"] || TIEBREAK_ORDER.swiss,
+  teamTopN: (section.teamScoring || DEFAULT_TEAM_SCORING).topN,
+  teamTiebreaks: (section.teamScoring || DEFAULT_TEAM_SCORING).tiebreaks,
+  avoidTeammatesRounds: section.avoidTeammatesRounds || 0,
+  byFamily: avoidance.byFamily,
+  byClub: avoidance.byClub,
+  relaxLastRounds: avoidance.relaxLastRounds,
+});
+
+// Ordered tiebreak keys: move one up, drop it, or add one of the unused ones at the end.
+function TiebreakList({ value, onChange }) {
+  const up = (i) => onChange([...value.slice(0, i - 1), value[i], value[i - 1], ...value.slice(i + 1)]);
+  return (
+    <>
+      {value.map((key, i) => (
+        <span key={key}>
+          {i > 0 && <button onClick={() => up(i)}>&lt;</button>}
+          {TIEBREAK_LABELS[key]}
+          <button onClick={() => onChange(value.filter((k) => k !== key))}>x</button>{" "}
+        </span>
+      ))}
+      <select value="" onChange={(e) => e.target.value && onChange([...value, e.target.value])}>
+        <option value="">Add...</option>
+        {TIEBREAKS.filter((key) => !value.includes(key)).map((key) => <option key={key} value={key}>{TIEBREAK_LABELS[key]}</option>)}
+      </select>
+    </>
+  );
+}
+
+// Pairing and scoring settings of one section. Save only calls the setters whose fields were
+// edited; section snapshots refill the form while it has no unsaved edits. "Do not pair"
+// requests between two of the section's players are added and removed straight away.
+export default function SectionSettings({ tournamentId, sectionId, section = {}, players = [] }) {
+  const [form, setForm] = useState(toForm(section));
+  const [pair, setPair] = useState({ a: "", b: "" });
+  const [dirty, setDirty] = useState(false);
+  const [message, setMessage] = useState(null);
+  const swiss = (section.format || "swiss") === "swiss";
+  const byId = new Map(players.map((p) => [p.id, p]));
+  const sorted = players.slice().sort((a, b) => a.name.localeCompare(b.name));
+
+  useEffect(() => {
+    if (!dirty) setForm(toForm(section));
+  }, [section, dirty]);
+
+  const change = (key, value) => {
+    setForm({ ...form, [key]: value });
+    setDirty(true);
+  };
+
+  const run = async (action) => {
+    try {
+      await action();
+      setMessage(null);
+    } catch (err) {
+      setMessage(err.message);
+    }
+  };
+
+  const save = async () => {
+    const saved = toForm(section);
+    const edited = (...keys) => keys.some((k) => String(form[k]) !== String(saved[k]));
+    try {
+      if (edited("accelMethod", "accelRounds", "accelCutoff")) {
+        await setAcceleration(tournamentId, sectionId, form.accelMethod
+          ? { method: form.accelMethod, rounds: form.accelRounds, cutoffRating: form.accelCutoff || null }
+          : null);
+      }
+      if (edited("initialColor")) await setInitialColor(tournamentId, sectionId, form.initialColor);
+      if (edited("maxHalfPointByes")) await setMaxHalfPointByes(tournamentId, sectionId, form.maxHalfPointByes);
+      if (edited("tiebreaks")) await setTiebreaks(tournamentId, sectionId, form.tiebreaks);
+      if (edited("teamTopN", "teamTiebreaks", "avoidTeammatesRounds")) {
+        await setTeamScoring(tournamentId, sectionId, {
+          teamScoring: { topN: form.teamTopN, tiebreaks: form.teamTiebreaks },
+          avoidTeammatesRounds: form.avoidTeammatesRounds,
+        });
+      }
+      if (edited("byFamily", "byClub", "relaxLastRounds")) {
+        await setAvoidanceRules(tournamentId, sectionId, {
+          byFamily: form.byFamily,
+          byClub: form.byClub,
+          relaxLastRounds: form.relaxLastRounds,
+        });
+      }
+      setDirty(false);
+      setMessage("Saved");
+    } catch (err) {
+      setMessage(err.message);
+    }
+  };
+
+  return (
+    <div>
+      <h3>Section settings</h3>
+      <table>
+        <tbody>
+          {swiss && (
+            <tr>
+              <td>Acceleration</td>
+              <td>
+                <select value={form.accelMethod} onChange={(e) => change("accelMethod", e.target.value)}>
+                  <option value="">None</option>
+                  <option value="davis">Davis (USCF)</option>
+                  <option value="baku">Baku (FIDE)</option>
+                </select>
+                {form.accelMethod && (
+                  <>
+                    {" for "}
+                    <input type="number" min="0" value={form.accelRounds} onChange={(e) => change("accelRounds", e.target.value)} />
+                    {" rounds, group A rated "}
+                    <input type="number" value={form.accelCutoff} placeholder="top half" onChange={(e) => change("accelCutoff", e.target.value)} />
+                    {" and up"}
+                  </>
+                )}
+              </td>
+            </tr>
+          )}
+          {swiss && (
+            <tr>
+              <td>Half-point byes</td>
+              <td>
+                {"up to "}
+                <input type="number" min="0" value={form.maxHalfPointByes} placeholder="no limit" onChange={(e) => change("maxHalfPointByes", e.target.value)} />
+                {" per player score; later requests score zero"}
+              </td>
+            </tr>
+          )}
+          {section.format !== "quads" && (
+            <tr>
+              <td>Top seed in round one</td>
+              <td>
+                <select value={form.initialColor} onChange={(e) => change("initialColor", e.target.value)}>
+                  <option value="random">Coin toss</option>
+                  <option value="W">White</option>
+                  <option value="B">Black</option>
+                </select>
+                {section.drawnInitialColor && ` (toss: ${section.drawnInitialColor === "W" ? "White" : "Black"})`}
+              </td>
+            </tr>
+          )}
+          {(swiss || section.format === "roundrobin") && (
+            <tr>
+              <td>Tiebreaks</td>
+              <td>
+                <TiebreakList value={form.tiebreaks} onChange={(list) => change("tiebreaks", list)} />
+                <button onClick={() => change("tiebreaks", TIEBREAK_ORDER[section.format || "swiss"])}>Default order</button>
+              </td>
+            </tr>
+          )}
+          <tr>
+            <td>Team score</td>
+            <td>
+              {"best "}
+              <input type="number" min="1" value={form.teamTopN} onChange={(e) => change("teamTopN", e.target.value)} />
+              {" players per school; ties broken by "}
+              <TiebreakList value={form.teamTiebreaks} onChange={(list) => change("teamTiebreaks", list)} />
+            </td>
+          </tr>
+          {swiss && (
+            <tr>
+              <td>Keep teammates apart</td>
+              <td>
+                <input type="number" min="0" value={form.avoidTeammatesRounds} onChange={(e) => change("avoidTeammatesRounds", e.target.value)} />
+                {" opening rounds"}
+              </td>
+            </tr>
+          )}
+          {swiss && (
+            <tr>
+              <td>Do not pair</td>
+              <td>
+                <label>
+                  <input type="checkbox" checked={form.byFamily} onChange={(e) => change("byFamily", e.target.checked)} />
+                  same family
+                </label>{" "}
+                <label>
+                  <input type="checkbox" checked={form.byClub} onChange={(e) => change("byClub", e.target.checked)} />
+                  same club
+                </label>
+                {", except in the last "}
+                <input type="number" min="0" value={form.relaxLastRounds} onChange={(e) => change("relaxLastRounds", e.target.value)} />
+                {" rounds"}
+              </td>
+            </tr>
+          )}
+          {swiss && (
+            <tr>
+              <td>Requested pairs</td>
+              <td>
+                {((section.avoidance || {}).pairs || []).map(({ a, b }) => (
+                  <div key={a + "|" + b}>
+                    {(byId.get(a) || { name: a }).name} - {(byId.get(b) || { name: b }).name}{" "}
+                    <button onClick={() => run(() => removeAvoidancePair(tournamentId, sectionId, a, b))}>Remove</button>
+                  </div>
+                ))}
+                {["a", "b"].map((side) => (
+                  <select key={side} value={pair[side]} onChange={(e) => setPair({ ...pair, [side]: e.target.value })}>
+                    <option value="">Player...</option>
+                    {sorted.map((p) => <option key={p.id} value={p.id}>{p.name}</option>)}
+                  </select>
+                ))}
+                <button
+                  disabled={!pair.a || !pair.b}
+                  onClick={() => run(async () => {
+                    await addAvoidancePair(tournamentId, sectionId, pair.a, pair.b);
+                    setPair({ a: "", b: "" });
+                  })}
+                >
+                  Keep apart
+                </button>
+              </td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+      <button disabled={!dirty} onClick={save}>Save section settings</button>
+      {message && <span> {message}</span>}
+    </div>
+  );
+}
@@ -0,0 +1,91 @@
+import React, { useState } from "react";
+import {
+  parseSupplement,
+  saveSupplement,
+  loadSupplement,
+  listSupplementMonths,
+  lookupById,
+  searchByName,
+  isExpired,
+} from "./services/ratingSupplement";
+
+// TD lookup in the locally stored USCF rating supplement: load a month's file, then search by
+// USCF ID or name. onPick (optional) receives the fields addPlayer takes. defaultMonth is the
+// tournament's supplementMonth, so picks come from the supplement the lock checks use.
+export default function SupplementLookup({ asOf = new Date().toISOString().slice(0, 10), defaultMonth = null, onPick }) {
+  const [months, setMonths] = useState(() => listSupplementMonths());
+  const [month, setMonth] = useState(defaultMonth || months[0] || "");
+  const [index, setIndex] = useState(() => loadSupplement(defaultMonth || months[0]));
+  const [query, setQuery] = useState("");
+  const [error, setError] = useState(null);
+
+  const chooseMonth = (m) => {
+    setMonth(m);
+    setIndex(loadSupplement(m));
+  };
+
+  const loadFile = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+      const entries = parseSupplement(await file.text());
+      saveSupplement(month, entries);
+      setMonths(listSupplementMonths());
+      setIndex(loadSupplement(month));
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const found = /^\d+$/.test(query.trim())
+    ? [lookupById(index, query)].filter(Boolean)
+    : searchByName(index, query);
+
+  return (
+    <div>
+      <h3>USCF rating supplement</h3>
+      <label>Month: </label>
+      <input value={month} placeholder="2026-10" onChange={(e) => chooseMonth(e.target.value)} list="supplement-months" />
+      <datalist id="supplement-months">
+        {months.map((m) => <option key={m} value={m} />)}
+      </datalist>
+      <input type="file" accept=".txt,.csv,.tsv" onChange={loadFile} />
+      {error && <p>{error}</p>}
+      {!index && <p>No supplement loaded for {month || "this month"}.</p>}
+      <div>
+        <input value={query} placeholder="USCF ID or name" onChange={(e) => setQuery(e.target.value)} />
+      </div>
+      {found.length > 0 && (
+        <table border="1">
+          <thead>
+            <tr>
+              <th>USCF ID</th><th>Name</th><th>Rating</th><th>Expires</th><th />
+            </tr>
+          </thead>
+          <tbody>
+            {found.map((e) => (
+              <tr key={e.uscfId}>
+                <td>{e.uscfId}</td>
+                <td>{e.name}</td>
+                <td>{e.rating ? e.rating + (e.provisional ? "P" + e.ratedGames : "") : "Unrated"}</td>
+                <td>{e.expires || "Life"}{isExpired(e, asOf) ? " (expired)" : ""}</td>
+                <td>
+                  {onPick && (
+                    <button
+                      onClick={() =>
+                        onPick({ name: e.name, uscfId: e.uscfId, rating: e.rating, ratedGames: e.ratedGames, membershipExpires: e.expires })
+                      }
+                    >
+                      Use
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,31 @@
+import React from "react";
+import { teamStandings } from "./services/teams";
+import { TIEBREAK_LABELS } from "./services/tiebreaks";
+
+// School/team standings: sum of the top N individual scores, then the team tiebreaks.
+export default function TeamStandings({ players = [], teamScoring }) {
+  const teams = teamStandings(players, teamScoring);
+  if (!teams.length) return null;
+  const tiebreaks = teamScoring?.tiebreaks || [];
+  return (
+    <table border="1">
+      <thead>
+        <tr>
+          <th>#</th><th>Team</th><th>Counting players</th><th>Total</th>
+          {tiebreaks.map((key) => <th key={key}>{TIEBREAK_LABELS[key] || key}</th>)}
+        </tr>
+      </thead>
+      <tbody>
+        {teams.map((t, i) => (
+          <tr key={t.team}>
+            <td>{i + 1}</td>
+            <td>{t.team}</td>
+            <td>{t.counting.map((p) => `${p.name} (${p.score || 0})`).join(", ")}</td>
+            <td>{t.score}</td>
+            {tiebreaks.map((key) => <td key={key}>{t[key]}</td>)}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
@@ -0,0 +1,76 @@
+import React, { useEffect, useState } from "react";
+import { updateTournamentSettings } from "./services/firestoreService";
+import { RATING_SYSTEMS, TOURNAMENT_DEFAULTS } from "./services/tournamentSettings";
+
+const FIELDS = [
+  ["name", "Name"],
+  ["startDate", "Start date", "date"],
+  ["endDate", "End date", "date"],
+  ["venue", "Venue"],
+  ["city", "City"],
+  ["state", "State"],
+  ["zip", "ZIP"],
+  ["timeControl", "Time control"],
+  ["roundsPerSection", "Rounds per section", "number"],
+  ["chiefArbiter", "Chief TD"],
+  ["chiefTdId", "Chief TD USCF ID"],
+  ["assistantTdId", "Assistant TD USCF ID"],
+  ["affiliateId", "Affiliate ID"],
+  ["supplementMonth", "Rating supplement (YYYY-MM)"],
+];
+
+// Event-wide settings on the tournament doc (see tournamentSettings.js). Snapshots only refill
+// the form while it has no unsaved edits.
+export default function TournamentSettings({ tournament }) {
+  const [form, setForm] = useState({ ...TOURNAMENT_DEFAULTS, ...tournament });
+  const [dirty, setDirty] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    if (!dirty) setForm({ ...TOURNAMENT_DEFAULTS, ...tournament });
+  }, [tournament, dirty]);
+
+  const change = (key, value) => {
+    setForm({ ...form, [key]: value });
+    setDirty(true);
+  };
+
+  const save = async () => {
+    try {
+      const { id, createdAt, ...settings } = form;
+      await updateTournamentSettings(tournament.id, settings);
+      setDirty(false);
+      setMessage("Saved");
+    } catch (err) {
+      setMessage(err.message);
+    }
+  };
+
+  return (
+    <div>
+      <h3>Tournament settings</h3>
+      <table>
+        <tbody>
+          {FIELDS.map(([key, label, type = "text"]) => (
+            <tr key={key}>
+              <td>{label}</td>
+              <td>
+                <input type={type} value={form[key] ?? ""} onChange={(e) => change(key, e.target.value)} />
+              </td>
+            </tr>
+          ))}
+          <tr>
+            <td>Rating type</td>
+            <td>
+              <select value={form.ratingSystem} onChange={(e) => change("ratingSystem", e.target.value)}>
+                {Object.entries(RATING_SYSTEMS).map(([code, label]) => <option key={code} value={code}>{label}</option>)}
+              </select>
+            </td>
+          </tr>
+        </tbody>
+      </table>
+      <button onClick={save}>Save settings</button>
+      {message && <span> {message}</span>}
+    </div>
+  );
+}
@@ -0,0 +1,168 @@
+import React, { useEffect, useState } from "react";
+import {
+  subscribeTournament,
+  subscribeAllSections,
+  subscribeSectionData,
+  createSection,
+  addPlayer,
+  updateResult,
+  recordPlayoff,
+} from "./services/firestoreService";
+import { sectionState, stateLabel } from "./services/lifecycle";
+import { eligibilityLabel, suggestSections } from "./services/eligibility";
+import { parseGrade } from "./services/rosterImport";
+import { supplementRatingLookup } from "./services/ratingSupplement";
+import TournamentSettings from "./TournamentSettings";
+import SectionLifecycle from "./SectionLifecycle";
+import SectionEligibility from "./SectionEligibility";
+import SectionSettings from "./SectionSettings";
+import SectionPlayers from "./SectionPlayers";
+import DraftRound from "./DraftRound";
+import PairingsTable from "./PairingsTable";
+import IntegrityCheck from "./IntegrityCheck";
+import RosterImport from "./RosterImport";
+import SupplementLookup from "./SupplementLookup";
+import RatingReport from "./RatingReport";
+import TrfTransfer from "./TrfTransfer";
+
+// TD dashboard for one tournament: its settings, its sections (from Firestore), and for the
+// chosen section the lifecycle, eligibility, roster, next-round draft and current round's results.
+export default function TournamentTD({ tournamentId }) {
+  const [tournament, setTournament] = useState(null);
+  const [sections, setSections] = useState([]);
+  const [sectionId, setSectionId] = useState(null);
+  const [data, setData] = useState({ meta: null, players: [], rounds: [] });
+  const [newSection, setNewSection] = useState({ name: "", format: "swiss", pairingSystem: "uscf" });
+  const [entry, setEntry] = useState({ name: "", uscfId: "", rating: "", grade: "", overrideReason: "" });
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!tournamentId) return;
+    const unsubTournament = subscribeTournament(tournamentId, setTournament);
+    const unsubSections = subscribeAllSections(tournamentId, setSections);
+    return () => {
+      unsubTournament();
+      unsubSections();
+    };
+  }, [tournamentId]);
+
+  useEffect(() => {
+    setData({ meta: null, players: [], rounds: [] });
+    if (!tournamentId || !sectionId) return;
+    return subscribeSectionData(tournamentId, sectionId, {
+      onSectionDocChange: (meta) => setData((d) => ({ ...d, meta })),
+      onPlayersChange: (players) => setData((d) => ({ ...d, players })),
+      onRoundsChange: (rounds) => setData((d) => ({ ...d, rounds })),
+    });
+  }, [tournamentId, sectionId]);
+
+  const run = async (action) => {
+    try {
+      await action();
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const addSection = () =>
+    run(async () => {
+      const id = await createSection(tournamentId, newSection);
+      setNewSection({ ...newSection, name: "" });
+      setSectionId(id);
+    });
+
+  const register = () =>
+    run(async () => {
+      const { overrideReason, grade, ...playerData } = entry;
+      await addPlayer(tournamentId, sectionId, { ...playerData, grade: parseGrade(grade) }, { overrideReason: overrideReason.trim() || null });
+      setEntry({ name: "", uscfId: "", rating: "", grade: "", overrideReason: "" });
+    });
+
+  if (!tournament) return <p>Loading tournament...</p>;
+
+  const { meta, players, rounds } = data;
+  const byId = new Map(players.map((p) => [p.id, p]));
+  const latest = rounds[rounds.length - 1];
+  const status = meta ? sectionState(meta, rounds) : null;
+  const fits = entry.rating || entry.grade
+    ? suggestSections({ ...entry, grade: parseGrade(entry.grade) }, sections.filter((s) => !s.locked), { ratingLookup: supplementRatingLookup() })
+    : [];
+
+  return (
+    <div>
+      <h2>{tournament.name} - TD</h2>
+      <TournamentSettings key={tournamentId} tournament={tournament} />
+      <RosterImport tournamentId={tournamentId} />
+      <RatingReport tournamentId={tournamentId} />
+
+      <h3>Sections</h3>
+      <ul>
+        {sections.map((s) => (
+          <li key={s.id}>
+            <button onClick={() => setSectionId(s.id)} disabled={s.id === sectionId}>{s.name}</button> {s.format} ({eligibilityLabel(s.eligibility)})
+          </li>
+        ))}
+      </ul>
+      <input value={newSection.name} placeholder="Section name" onChange={(e) => setNewSection({ ...newSection, name: e.target.value })} />
+      <select value={newSection.format} onChange={(e) => setNewSection({ ...newSection, format: e.target.value })}>
+        <option value="swiss">Swiss</option>
+        <option value="roundrobin">Round robin</option>
+        <option value="quads">Quads</option>
+        <option value="knockout">Knockout</option>
+      </select>
+      <select value={newSection.pairingSystem} onChange={(e) => setNewSection({ ...newSection, pairingSystem: e.target.value })}>
+        <option value="uscf">USCF</option>
+        <option value="dutch">FIDE Dutch</option>
+      </select>
+      <button disabled={!newSection.name.trim()} onClick={addSection}>Add section</button>
+      <TrfTransfer tournamentId={tournamentId} sectionId={sectionId} sectionName={meta && meta.name} onImported={setSectionId} />
+      {error && <p>{error}</p>}
+
+      {meta && (
+        <section>
+          <h2>{meta.name}</h2>
+          <SectionLifecycle key={sectionId} tournamentId={tournamentId} sectionId={sectionId} section={meta} rounds={rounds} />
+          <SectionEligibility key={sectionId} tournamentId={tournamentId} sectionId={sectionId} section={meta} />
+          <SectionSettings key={sectionId} tournamentId={tournamentId} sectionId={sectionId} section={meta} players={players} />
+
+          {status.state === "registration" && (
+            <div>
+              <h3>Register a player</h3>
+              <input value={entry.name} placeholder="Name" onChange={(e) => setEntry({ ...entry, name: e.target.value })} />
+              <input value={entry.uscfId} placeholder="USCF ID" onChange={(e) => setEntry({ ...entry, uscfId: e.target.value })} />
+              <input value={entry.rating} placeholder="Rating" onChange={(e) => setEntry({ ...entry, rating: e.target.value })} />
+              <input value={entry.grade} placeholder="Grade (K-12)" onChange={(e) => setEntry({ ...entry, grade: e.target.value })} />
+              <input value={entry.overrideReason} placeholder="Override reason (if ineligible)" onChange={(e) => setEntry({ ...entry, overrideReason: e.target.value })} />
+              <button disabled={!entry.name.trim()} onClick={register}>Add player</button>
+              {fits.length > 0 && <p>Fits: {fits.map((s) => s.name).join(", ")}</p>}
+              <SupplementLookup
+                key={tournament.supplementMonth || ""}
+                asOf={tournament.startDate || undefined}
+                defaultMonth={tournament.supplementMonth}
+                onPick={(picked) => setEntry({ ...entry, ...picked })}
+              />
+            </div>
+          )}
+
+          <SectionPlayers tournamentId={tournamentId} sectionId={sectionId} players={players} rounds={rounds} sections={sections} />
+
+          {latest && (
+            <div>
+              <h3>Round {latest.number} ({stateLabel(status)})</h3>
+              <PairingsTable
+                pairings={latest.pairings.map((pp) => ({ ...pp, white: byId.get(pp.whiteId), black: byId.get(pp.blackId) }))}
+                enterResult={(i, result) => run(() => updateResult(tournamentId, sectionId, latest.id, i, result))}
+                recordPlayoff={
+                  meta.format === "knockout" ? (i, game) => run(() => recordPlayoff(tournamentId, sectionId, latest.id, i, game)) : null
+                }
+              />
+            </div>
+          )}
+          <DraftRound tournamentId={tournamentId} sectionId={sectionId} players={players} />
+          <IntegrityCheck tournamentId={tournamentId} sectionId={sectionId} />
+        </section>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,41 @@
+import React, { useState } from "react";
+import { exportSectionTrf, importSectionTrf } from "./services/firestoreService";
+import downloadText from "./download";
+
+// TD exchange of sections as FIDE TRF16 files: download the chosen section, or load a file as a
+// new section (onImported receives its id).
+export default function TrfTransfer({ tournamentId, sectionId, sectionName, onImported }) {
+  const [error, setError] = useState(null);
+
+  const download = async () => {
+    try {
+      downloadText((sectionName || sectionId) + ".trf", await exportSectionTrf(tournamentId, sectionId));
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const load = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    try {
+      const id = await importSectionTrf(tournamentId, await file.text());
+      setError(null);
+      if (onImported) onImported(id);
+    } catch (err) {
+      setError(err.message);
+    }
+    e.target.value = "";
+  };
+
+  return (
+    <div>
+      <h3>TRF files</h3>
+      {sectionId && <button onClick={download}>Download {sectionName || "section"} as TRF</button>}
+      <label> Import a section: </label>
+      <input type="file" accept=".trf,.txt" onChange={load} />
+      {error && <p>{error}</p>}
+    </div>
+  );
+}
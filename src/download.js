@@ -0,0 +1,9 @@
+// Save text the browser built as a file, through a temporary object URL.
+export default function downloadText(name, content, type = "text/plain") {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -1,4 +1,3 @@
 export async function loadPlayers(section) { /* ... */ }
 export async function savePairings(section, round, pairings) { /* ... */ }
 export async function saveResult(section, round, board, result) { /* ... */ }
-export async function loadStandings(section) { /* ... */ }
@@ -0,0 +1,34 @@
+// src/services/acceleration.js
+// Exported functions:
+// - virtualPoints(acceleration, round) -> points added to group A in that round
+// - applyAcceleration(players, acceleration, round) -> copies of players with pairingScore set
+//
+// acceleration (section doc): { method: "davis" | "baku", rounds, cutoffRating }
+// - davis: group A plays the first `rounds` rounds one point up
+// - baku: one point for the first half of the accelerated rounds, half a point for the rest
+// Group A is everyone rated at or above cutoffRating; without a cutoff it is the top half of the
+// field by rating, rounded up to an even number. Virtual points only ever land in pairingScore,
+// the real score written by updateResult is left alone.
+
+import { seedCompare } from "./pairingEngine";
+
+export function virtualPoints(acceleration, round) {
+  if (!acceleration || !acceleration.rounds || round > acceleration.rounds) return 0;
+  if (acceleration.method === "baku") return round <= Math.ceil(acceleration.rounds / 2) ? 1 : 0.5;
+  return 1;
+}
+
+export function applyAcceleration(players, acceleration, round) {
+  const points = virtualPoints(acceleration, round);
+  if (!points) return players;
+  const active = players.filter((p) => !p.withdrawn);
+  let inGroupA;
+  if (acceleration.cutoffRating) {
+    inGroupA = (p) => (p.rating || 0) >= acceleration.cutoffRating;
+  } else {
+    const size = 2 * Math.ceil(active.length / 4);
+    const top = new Set(active.slice().sort(seedCompare).slice(0, size).map((p) => p.id));
+    inGroupA = (p) => top.has(p.id);
+  }
+  return players.map((p) => ({ ...p, pairingScore: (p.score || 0) + (inGroupA(p) ? points : 0) }));
+}
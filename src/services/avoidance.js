@@ -0,0 +1,30 @@
+// src/services/avoidance.js
+// Exported functions:
+// - avoidanceActive(avoidance, { round, plannedRounds }) -> whether the constraints apply this round
+// - avoidanceReason(avoidance, { round, plannedRounds }) -> (a, b) => reason or null, for the engines
+//
+// avoidance (section doc): { pairs: [{ a, b }], byFamily, byClub, relaxLastRounds }
+// - pairs: explicit player id pairs (coach or parent requests)
+// - byFamily / byClub: keep players with the same family / club field apart
+// - relaxLastRounds: the constraints are dropped for that many final rounds
+// The engines treat them as soft: a constrained pair is only made when the score group cannot
+// be paired otherwise, and every such pairing is reported back as a relaxed avoidance.
+
+export const DEFAULT_AVOIDANCE = { pairs: [], byFamily: true, byClub: false, relaxLastRounds: 1 };
+
+export function avoidanceActive(avoidance, { round = 1, plannedRounds = 0 } = {}) {
+  if (!avoidance) return false;
+  const relax = avoidance.relaxLastRounds || 0;
+  return !plannedRounds || round <= plannedRounds - relax;
+}
+
+export function avoidanceReason(avoidance, context) {
+  if (!avoidanceActive(avoidance, context)) return null;
+  const requested = new Set((avoidance.pairs || []).map(({ a, b }) => [a, b].sort().join("|")));
+  return (a, b) => {
+    if (requested.has([a.id, b.id].sort().join("|"))) return "requested";
+    if (avoidance.byFamily && a.family && a.family === b.family) return "family";
+    if (avoidance.byClub && a.club && a.club === b.club) return "club";
+    return null;
+  };
+}
@@ -0,0 +1,56 @@
+// src/services/byes.js
+// Exported functions:
+// - BYE_TYPES: { full, half, zero } -> { result, points, code, label }
+// - requestedByeType(player, round) -> "half" | "zero" | null
+// - countedHalfByes(player) -> half-point byes already scored as half a point
+// - requestedByePairings(players, round, { maxHalfPointByes }) -> { byes, pairable }
+// - byeCode(resultEntry) -> "B" | "H" | "U"
+//
+// Players ask ahead of time for a bye in a given round; the request lives on the player doc as
+// requestedByes: [{ round, type: "half" | "zero" }]. Those players sit out the pairing for that
+// round and get a bye pairing instead. A section may cap the half-point byes that count
+// (maxHalfPointByes); once a player has used them up, further requested byes score zero.
+// The engine's own odd-player bye is the full-point bye. Crosstables mark the three kinds
+// B (full point), H (half point) and U (zero point), as on USCF crosstables.
+
+export const BYE_TYPES = {
+  full: { result: "1-0", points: 1, code: "B", label: "full-point bye" },
+  half: { result: "0.5-0", points: 0.5, code: "H", label: "half-point bye" },
+  zero: { result: "0-0", points: 0, code: "U", label: "zero-point bye" },
+};
+
+export function requestedByeType(p, round) {
+  const req = (p.requestedByes || []).find((r) => r.round === round);
+  return req ? req.type : null;
+}
+
+export function countedHalfByes(p) {
+  return (p.results || []).filter((r) => r.isBye && r.byeType === "half" && r.result === 0.5).length;
+}
+
+export function requestedByePairings(players, round, { maxHalfPointByes = null } = {}) {
+  const byes = [];
+  const pairable = [];
+  players.forEach((p) => {
+    const type = p.withdrawn ? null : requestedByeType(p, round);
+    if (!type) {
+      pairable.push(p);
+      return;
+    }
+    let tdNote = "requested " + BYE_TYPES[type].label;
+    let scored = type;
+    if (type === "half" && maxHalfPointByes != null && countedHalfByes(p) >= maxHalfPointByes) {
+      scored = "zero";
+      tdNote += " (over the limit of " + maxHalfPointByes + ", scored zero)";
+    }
+    byes.push({ whiteId: p.id, blackId: null, isBye: true, byeType: type, result: BYE_TYPES[scored].result, tdNote });
+  });
+  return { byes, pairable };
+}
+
+// Marked by what the bye actually scored, so a half-point request over the cap shows as U.
+export function byeCode(entry) {
+  if (entry.result === 1) return BYE_TYPES.full.code;
+  if (entry.result === 0.5) return BYE_TYPES.half.code;
+  return BYE_TYPES.zero.code;
+}
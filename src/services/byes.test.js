@@ -0,0 +1,30 @@
+import { requestedByePairings, byeCode } from "./byes";
+
+function player(id, extra = {}) {
+  return { id, name: id, rating: 1500, score: 0, results: [], ...extra };
+}
+
+test("players with a requested bye sit out and get the right result", () => {
+  const players = [
+    player("a", { requestedByes: [{ round: 3, type: "half" }] }),
+    player("b", { requestedByes: [{ round: 3, type: "zero" }] }),
+    player("c", { requestedByes: [{ round: 4, type: "half" }] }),
+  ];
+  const { byes, pairable } = requestedByePairings(players, 3);
+  expect(pairable.map((p) => p.id)).toEqual(["c"]);
+  expect(byes).toEqual([
+    expect.objectContaining({ whiteId: "a", isBye: true, byeType: "half", result: "0.5-0" }),
+    expect.objectContaining({ whiteId: "b", isBye: true, byeType: "zero", result: "0-0" }),
+  ]);
+});
+
+test("half-point byes over the section limit score zero", () => {
+  const used = { round: 1, oppId: null, result: 0.5, isBye: true, byeType: "half" };
+  const players = [player("a", { results: [used], requestedByes: [{ round: 2, type: "half" }] })];
+  const { byes } = requestedByePairings(players, 2, { maxHalfPointByes: 1 });
+  expect(byes[0]).toMatchObject({ byeType: "half", result: "0-0" });
+  expect(byes[0].tdNote).toMatch(/over the limit/);
+  expect(byeCode({ isBye: true, byeType: "half", result: 0 })).toBe("U");
+  expect(byeCode(used)).toBe("H");
+  expect(byeCode({ isBye: true, byeType: "full", result: 1 })).toBe("B");
+});
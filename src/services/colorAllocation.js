@@ -0,0 +1,67 @@
+// src/services/colorAllocation.js
+// Exported functions:
+// - dueColor(player) -> { color, basis: "equalization" | "alternation" | null, imbalance }
+// - allocateUscfColors(higher, lower, { board, initialColor }) -> { whiteId, blackId, whiteReason, blackReason }
+//
+// USCF color rules (29E): a player is due the color that equalizes their whites and blacks,
+// or, when those are even, the color opposite to their last game. If both are due the same
+// color, equalization beats alternation, a bigger imbalance beats a smaller one, then the
+// players alternate from the last round in which they had different colors, and finally the
+// higher-ranked player gets the due color. Players with no games yet take the initial color
+// alternating down the boards: the top board's higher player gets initialColor, board two's
+// the opposite, and so on.
+
+const flip = (c) => (c === "W" ? "B" : "W");
+const colorName = (c) => (c === "W" ? "White" : "Black");
+
+export function dueColor(p) {
+  const colors = p.colors || [];
+  const w = colors.filter((c) => c === "W").length;
+  const b = colors.filter((c) => c === "B").length;
+  if (w !== b) return { color: w > b ? "B" : "W", basis: "equalization", imbalance: Math.abs(w - b) };
+  const last = colors[colors.length - 1];
+  if (last) return { color: flip(last), basis: "alternation", imbalance: 0 };
+  return { color: null, basis: null, imbalance: 0 };
+}
+
+function assign(first, firstColor, firstReason, second, secondReason) {
+  return firstColor === "W"
+    ? { whiteId: first.id, blackId: second.id, whiteReason: firstReason, blackReason: secondReason }
+    : { whiteId: second.id, blackId: first.id, whiteReason: secondReason, blackReason: firstReason };
+}
+
+// higher must be the higher-ranked player of the pair; board is the 1-based board number.
+export function allocateUscfColors(higher, lower, { board = 1, initialColor = "W" } = {}) {
+  const dueH = dueColor(higher);
+  const dueL = dueColor(lower);
+
+  if (!dueH.color && !dueL.color) {
+    const color = board % 2 === 1 ? initialColor : flip(initialColor);
+    return assign(higher, color, `initial color on board ${board}`, lower, `initial color on board ${board}`);
+  }
+  if (dueH.color !== dueL.color) {
+    // no conflict: each gets the due color, or the one left over when only one has history
+    const [first, second] = dueH.color ? [higher, lower] : [lower, higher];
+    const [due, other] = dueH.color ? [dueH, dueL] : [dueL, dueH];
+    const secondReason = other.color ? `due ${colorName(other.color)} (${other.basis})` : "no color history";
+    return assign(first, due.color, `due ${colorName(due.color)} (${due.basis})`, second, secondReason);
+  }
+
+  const color = dueH.color;
+  const wins = (winner, why) => {
+    const loser = winner === higher ? lower : higher;
+    return assign(winner, color, `due ${colorName(color)} (${why})`, loser, `also due ${colorName(color)}, lost on ${why}`);
+  };
+  if (dueH.basis !== dueL.basis) return wins(dueH.basis === "equalization" ? higher : lower, "equalization over alternation");
+  if (dueH.imbalance !== dueL.imbalance) return wins(dueH.imbalance > dueL.imbalance ? higher : lower, "larger color imbalance");
+
+  // alternate from the most recent round in which their colors differed
+  const ch = higher.colors || [];
+  const cl = lower.colors || [];
+  for (let k = 1; k <= Math.min(ch.length, cl.length); k++) {
+    const h = ch[ch.length - k];
+    const l = cl[cl.length - k];
+    if (h !== l) return wins(flip(h) === color ? higher : lower, "color history");
+  }
+  return wins(higher, "higher rank");
+}
@@ -0,0 +1,31 @@
+import { dueColor, allocateUscfColors } from "./colorAllocation";
+
+function player(id, colors = []) {
+  return { id, colors };
+}
+
+test("equalization comes before alternation", () => {
+  expect(dueColor(player("a", ["W", "W", "B"]))).toEqual({ color: "B", basis: "equalization", imbalance: 1 });
+  expect(dueColor(player("b", ["B", "W"]))).toEqual({ color: "B", basis: "alternation", imbalance: 0 });
+  expect(dueColor(player("c")).color).toBeNull();
+});
+
+test("round one alternates the initial color down the boards", () => {
+  expect(allocateUscfColors(player("a"), player("b"), { board: 1, initialColor: "B" })).toMatchObject({ whiteId: "b", blackId: "a" });
+  expect(allocateUscfColors(player("c"), player("d"), { board: 2, initialColor: "B" })).toMatchObject({ whiteId: "c", blackId: "d" });
+});
+
+test("resolves a clash of due colors and records the reasons", () => {
+  // both due Black: the lower player's equalization beats the higher player's alternation
+  const clash = allocateUscfColors(player("a", ["B", "W"]), player("b", ["W", "W", "B"]));
+  expect(clash).toEqual({
+    whiteId: "a",
+    blackId: "b",
+    whiteReason: "also due Black, lost on equalization over alternation",
+    blackReason: "due Black (equalization over alternation)",
+  });
+  // identical histories: the higher-ranked player gets the due color
+  expect(allocateUscfColors(player("a", ["W", "B"]), player("b", ["W", "B"]))).toMatchObject({ whiteId: "a", whiteReason: "due White (higher rank)" });
+  // no clash: the higher player is no longer favored with White
+  expect(allocateUscfColors(player("a", ["W"]), player("b", ["B"]))).toMatchObject({ whiteId: "b", blackId: "a" });
+});
@@ -0,0 +1,37 @@
+// src/services/delimited.js
+// Exported functions:
+// - parseDelimited(text) -> { headers, rows } for tab-, "|"- or comma-separated text with a header row
+//
+// The separator is whichever of tab, "|" and comma shows up first in the header line. Commas
+// follow CSV quoting ("a, b" stays one cell, "" is a literal quote); blank lines are dropped.
+
+function splitLine(line, delimiter) {
+  if (delimiter !== ",") return line.split(delimiter).map((c) => c.trim());
+  const cells = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted && ch === '"' && line[i + 1] === '"') {
+      cell += '"';
+      i++;
+    } else if (ch === '"') quoted = !quoted;
+    else if (ch === "," && !quoted) {
+      cells.push(cell.trim());
+      cell = "";
+    } else cell += ch;
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+export function parseDelimited(text) {
+  const lines = String(text).split(/\r?\n/).filter((l) => l.trim());
+  if (!lines.length) throw new Error("The file is empty");
+  const delimiter = ["\t", "|", ","].find((d) => lines[0].includes(d));
+  if (!delimiter) throw new Error("Could not tell how the columns are separated");
+  return {
+    headers: splitLine(lines[0], delimiter),
+    rows: lines.slice(1).map((line) => splitLine(line, delimiter)),
+  };
+}
@@ -0,0 +1,139 @@
+// src/services/draftRound.js
+// Exported functions:
+// - checkPairings(players, pairings, { round, format, avoidReason }) -> { errors, warnings }
+// - swapColors(pairings, board) -> pairings with white and black exchanged on that board
+// - exchangePlayers(pairings, a, b) -> pairings with two seats ({ board, side }) exchanged
+// - setSeat(pairings, board, side, playerId) -> pairings with one seat filled or emptied
+// - addBoard(pairings, whiteId, blackId) / removeBoard(pairings, board)
+//
+// A new round is first paired as a draft that only the TD sees (see generateDraftRound in
+// firestoreService). The TD can regenerate it or edit it by hand with the helpers below, which
+// return a new pairings array and never touch the one passed in. Edited boards are marked
+// "TD edit" in their tdNote and the colors they change get "TD override" as the reason.
+// checkPairings is run after every edit and again at publish:
+// - errors block publishing: unknown players, a player on two boards, an empty seat, a
+//   withdrawn player paired (a scheduled game already scored as a forfeit is fine), or (in
+//   Swiss sections) an active player left out of the round
+// - warnings are shown and can be accepted: repeat pairings, a color three times running or
+//   three more of one color than the other, a second full-point bye, a requested bye that was
+//   paired anyway, a "do not pair" rule broken
+
+import { havePlayed } from "./pairingEngine";
+import { requestedByeType } from "./byes";
+import { isForfeit } from "./playerState";
+
+const SIDES = ["white", "black"];
+const seatKey = (side) => (side === "white" ? "whiteId" : "blackId");
+
+function markEdited(pp) {
+  return { ...pp, tdNote: pp.tdNote && pp.tdNote.includes("TD edit") ? pp.tdNote : (pp.tdNote ? pp.tdNote + " | " : "") + "TD edit" };
+}
+
+// Colors a player would end up with after this round, for the color warnings
+function colorWarning(p, color) {
+  const colors = (p.colors || []).concat(color);
+  const w = colors.filter((c) => c === "W").length;
+  const b = colors.length - w;
+  const last3 = colors.slice(-3);
+  if (last3.length === 3 && last3.every((c) => c === color)) return `${p.name} would have ${color === "W" ? "White" : "Black"} three times running`;
+  if (Math.abs(w - b) > 2) return `${p.name} would have ${Math.max(w, b)} ${w > b ? "Whites" : "Blacks"} against ${Math.min(w, b)}`;
+  return null;
+}
+
+export function checkPairings(players = [], pairings = [], { round = 1, format = "swiss", avoidReason = null } = {}) {
+  const errors = [];
+  const warnings = [];
+  const byId = new Map(players.map((p) => [p.id, p]));
+  const seen = new Map();
+
+  pairings.forEach((pp, i) => {
+    const board = `Board ${i + 1}`;
+    const ids = pp.isBye ? [pp.whiteId] : [pp.whiteId, pp.blackId];
+    ids.forEach((id, side) => {
+      if (!id) {
+        errors.push(`${board}: the ${SIDES[side]} seat is empty`);
+        return;
+      }
+      const p = byId.get(id);
+      if (!p) errors.push(`${board}: unknown player ${id}`);
+      else if (p.withdrawn && !isForfeit(pp.result)) errors.push(`${board}: ${p.name} has withdrawn`);
+      if (seen.has(id)) errors.push(`${board}: ${p ? p.name : id} is also on board ${seen.get(id)}`);
+      else seen.set(id, i + 1);
+    });
+
+    const white = byId.get(pp.whiteId);
+    const black = byId.get(pp.blackId);
+    if (pp.isBye) {
+      if (white && (!pp.byeType || pp.byeType === "full") && white.hadBye) warnings.push(`${board}: ${white.name} already had a full-point bye`);
+      return;
+    }
+    if (!white || !black || white === black) return;
+    if (format === "swiss" && havePlayed(white, black)) warnings.push(`${board}: ${white.name} and ${black.name} have already played`);
+    [[white, "W"], [black, "B"]].forEach(([p, color]) => {
+      const w = colorWarning(p, color);
+      if (w) warnings.push(`${board}: ${w}`);
+      if (requestedByeType(p, round)) warnings.push(`${board}: ${p.name} asked for a bye this round`);
+    });
+    const reason = avoidReason ? avoidReason(white, black) : null;
+    if (reason) warnings.push(`${board}: ${white.name} and ${black.name} should not be paired (${reason})`);
+  });
+
+  if (format === "swiss") {
+    players.forEach((p) => {
+      if (!p.withdrawn && !seen.has(p.id)) errors.push(`${p.name} is not paired`);
+    });
+  }
+  return { errors, warnings };
+}
+
+export function swapColors(pairings, board) {
+  const pp = pairings[board];
+  if (!pp) throw new Error("Pairing not found");
+  if (pp.isBye) throw new Error("A bye has no colors to swap");
+  const next = pairings.slice();
+  next[board] = markEdited({ ...pp, whiteId: pp.blackId, blackId: pp.whiteId, whiteReason: "TD override", blackReason: "TD override" });
+  return next;
+}
+
+// a and b are seats: { board, side: "white" | "black" }
+export function exchangePlayers(pairings, a, b) {
+  const from = pairings[a.board];
+  const to = pairings[b.board];
+  if (!from || !to) throw new Error("Pairing not found");
+  if (!SIDES.includes(a.side) || !SIDES.includes(b.side)) throw new Error("Seat side must be white or black");
+  const idA = from[seatKey(a.side)];
+  const idB = to[seatKey(b.side)];
+  let next = setSeat(pairings, a.board, a.side, idB);
+  next = setSeat(next, b.board, b.side, idA);
+  return next;
+}
+
+// Emptying the black seat turns the board into a full-point bye; filling it on a bye makes it a game.
+export function setSeat(pairings, board, side, playerId) {
+  const pp = pairings[board];
+  if (!pp) throw new Error("Pairing not found");
+  if (!SIDES.includes(side)) throw new Error("Seat side must be white or black");
+  const updated = { ...pp, [seatKey(side)]: playerId || null, [side + "Reason"]: "TD override" };
+  if (side === "black" && !playerId) {
+    Object.assign(updated, { isBye: true, byeType: pp.isBye ? pp.byeType || "full" : "full", result: pp.isBye ? pp.result : "1-0" });
+    delete updated.blackReason;
+  } else if (side === "black" && pp.isBye) {
+    Object.assign(updated, { isBye: false, result: null });
+    delete updated.byeType;
+  }
+  const next = pairings.slice();
+  next[board] = markEdited(updated);
+  return next;
+}
+
+export function addBoard(pairings, whiteId, blackId = null) {
+  const pp = blackId
+    ? { whiteId, blackId, isBye: false, result: null, whiteReason: "TD override", blackReason: "TD override" }
+    : { whiteId, blackId: null, isBye: true, byeType: "full", result: "1-0" };
+  return pairings.concat(markEdited({ ...pp, tdNote: "" }));
+}
+
+export function removeBoard(pairings, board) {
+  if (!pairings[board]) throw new Error("Pairing not found");
+  return pairings.filter((_, i) => i !== board);
+}
@@ -0,0 +1,52 @@
+import { checkPairings, swapColors, exchangePlayers, setSeat, addBoard } from "./draftRound";
+
+function player(id, extra = {}) {
+  return { id, name: id, rating: 1500, score: 0, opponents: [], colors: [], ...extra };
+}
+
+test("structural problems are errors, rule breaks are warnings", () => {
+  const players = [
+    player("a", { opponents: ["b"], colors: ["W", "W"] }),
+    player("b", { opponents: ["a"] }),
+    player("c"),
+    player("d", { withdrawn: true }),
+    player("e"),
+  ];
+  const pairings = [
+    { whiteId: "a", blackId: "b", isBye: false, result: null },
+    { whiteId: "c", blackId: "d", isBye: false, result: null },
+    { whiteId: "c", blackId: null, isBye: true, byeType: "full", result: "1-0" },
+  ];
+  const { errors, warnings } = checkPairings(players, pairings, { round: 3 });
+  expect(errors).toEqual(["Board 2: d has withdrawn", "Board 3: c is also on board 2", "e is not paired"]);
+  expect(warnings).toEqual(["Board 1: a and b have already played", "Board 1: a would have White three times running"]);
+});
+
+test("edits return new pairings and mark the boards", () => {
+  const pairings = [
+    { whiteId: "a", blackId: "b", isBye: false, result: null },
+    { whiteId: "c", blackId: null, isBye: true, byeType: "full", result: "1-0" },
+  ];
+  const swapped = swapColors(pairings, 0);
+  expect(swapped[0]).toMatchObject({ whiteId: "b", blackId: "a", whiteReason: "TD override", tdNote: "TD edit" });
+  expect(pairings[0].whiteId).toBe("a");
+
+  const exchanged = exchangePlayers(pairings, { board: 0, side: "black" }, { board: 1, side: "white" });
+  expect(exchanged[0]).toMatchObject({ whiteId: "a", blackId: "c", isBye: false });
+  expect(exchanged[1]).toMatchObject({ whiteId: "b", isBye: true });
+
+  const game = setSeat(pairings, 1, "black", "d");
+  expect(game[1]).toMatchObject({ whiteId: "c", blackId: "d", isBye: false, result: null });
+  expect(game[1].byeType).toBeUndefined();
+  const bye = setSeat(game, 1, "black", null);
+  expect(bye[1]).toMatchObject({ isBye: true, byeType: "full", result: "1-0" });
+
+  expect(addBoard(pairings, "e", "f")[2]).toMatchObject({ whiteId: "e", blackId: "f", isBye: false, tdNote: "TD edit" });
+});
+
+test("a withdrawn player's scheduled game scored as a forfeit is not an error", () => {
+  const players = [player("a", { withdrawn: true }), player("b")];
+  const forfeit = [{ whiteId: "a", blackId: "b", isBye: false, result: "0F-1F" }];
+  expect(checkPairings(players, forfeit, { format: "roundrobin" }).errors).toEqual([]);
+  expect(checkPairings(players, [{ ...forfeit[0], result: null }], { format: "roundrobin" }).errors).toEqual(["Board 1: a has withdrawn"]);
+});
@@ -0,0 +1,186 @@
+// src/services/dutchPairingEngine.js
+// Exported functions:
+// - dutchPairingEngine(players, options) -> { pairings, players: updatedPlayers, floats, colorViolations, repeats, teammatePairings, relaxedAvoidances }
+//   options: { allowRepeats, round, plannedRounds, initialColor, avoidTeammates, avoidReason }
+//
+// FIDE Dutch system (C.04.3). Absolute criteria (no repeats, no second bye, no clash of
+// absolute color preferences) decide which pairs are allowed at all; the quality criteria are
+// cost tiers of the same matching used by the USCF engine, so the completion check of every
+// bracket is done for the whole field at once.
+
+import { areTeammates, avoidanceCheck, havePlayed, naturalOrderCost, pairByMatching, rankCompare, recordPairing, scoreOf, seedCompare } from "./pairingEngine";
+
+const REPEAT_COST = 1e15; // only offered when options.allowRepeats is set
+const FLOAT_COST = 1e12; // C.6: per half point of pairing score difference
+const AVOID_COST = 1e11; // soft "do not pair" constraints (club rule, not FIDE)
+const COLOR_COST = 1e10; // C.12: a player does not get their color preference
+const STRONG_COLOR_COST = 1e9; // C.13: ... and that preference was strong or absolute
+const REPEAT_DOWNFLOAT_COST = 1e8; // C.14: downfloats again after floating down last round
+const REPEAT_UPFLOAT_COST = 1e7; // C.15: upfloats again after floating up last round
+const REPEAT_DOWNFLOAT2_COST = 1e6; // C.16: same, two rounds before
+const REPEAT_UPFLOAT2_COST = 1e5; // C.17
+
+const MILD = 1;
+const STRONG = 2;
+const ABSOLUTE = 3;
+
+// A.6: { color, strength } the player is due, from the colors of played games.
+function colorPreference(p) {
+  const colors = p.colors || [];
+  if (!colors.length) return { color: null, strength: 0 };
+  const diff = colors.filter((c) => c === "W").length - colors.filter((c) => c === "B").length;
+  const last = colors[colors.length - 1];
+  const other = last === "W" ? "B" : "W";
+  const lastTwoSame = colors.length >= 2 && colors[colors.length - 2] === last;
+  if (diff > 1 || diff < -1 || lastTwoSame) {
+    return { color: diff > 1 ? "B" : diff < -1 ? "W" : other, strength: ABSOLUTE, diff };
+  }
+  if (diff === 1) return { color: "B", strength: STRONG, diff };
+  if (diff === -1) return { color: "W", strength: STRONG, diff };
+  return { color: other, strength: MILD, diff };
+}
+
+function floatIn(p, round) {
+  const entry = (p.floatHistory || []).find((f) => f.round === round);
+  return entry ? entry.dir : null;
+}
+
+// E.1 - E.5 color allocation; a is the higher ranked player. rule names the deciding step.
+function allocateColors(a, b, prefA, prefB, initialColor) {
+  const give = (player, color, rule) => {
+    const other = player === a ? b : a;
+    return color === "W" ? { whiteId: player.id, blackId: other.id, rule } : { whiteId: other.id, blackId: player.id, rule };
+  };
+  if (prefA.color && prefA.color !== prefB.color) return give(a, prefA.color, "E.1 both preferences");
+  if (!prefA.color && prefB.color) return give(b, prefB.color, "E.1 both preferences");
+  if (prefA.color && prefA.color === prefB.color) {
+    // E.2: the stronger preference wins; between two absolutes the wider color difference
+    if (prefA.strength !== prefB.strength) {
+      return prefA.strength > prefB.strength ? give(a, prefA.color, "E.2 stronger preference") : give(b, prefB.color, "E.2 stronger preference");
+    }
+    if (prefA.strength === ABSOLUTE && Math.abs(prefA.diff) !== Math.abs(prefB.diff)) {
+      return Math.abs(prefA.diff) > Math.abs(prefB.diff) ? give(a, prefA.color, "E.2 wider color difference") : give(b, prefB.color, "E.2 wider color difference");
+    }
+    // E.3: alternate from the most recent round in which they had different colors
+    const ca = a.colors || [];
+    const cb = b.colors || [];
+    for (let k = 1; k <= Math.min(ca.length, cb.length); k++) {
+      const x = ca[ca.length - k];
+      const y = cb[cb.length - k];
+      if (x !== y) return give(a, x === "W" ? "B" : "W", "E.3 alternation from last differing round");
+    }
+    // E.4: the higher ranked player gets their preference
+    return give(a, prefA.color, "E.4 higher ranked player");
+  }
+  // E.5: no preferences - the initial color goes to the higher ranked player
+  return give(a, initialColor, "E.5 initial color");
+}
+
+const STRENGTH_NAMES = { [MILD]: "mild", [STRONG]: "strong", [ABSOLUTE]: "absolute" };
+
+// Why a player ended up with a color, for the TD.
+function colorReason(pref, color, rule) {
+  if (!pref.color) return rule;
+  const granted = pref.color === color ? "granted" : "not granted";
+  return `${STRENGTH_NAMES[pref.strength]} preference ${granted} (${rule})`;
+}
+
+export function dutchPairingEngine(playersRaw = [], options = {}) {
+  const { allowRepeats = false, round = 1, plannedRounds = 0, initialColor = "W" } = options;
+  const avoidance = avoidanceCheck(options);
+  const players = JSON.parse(JSON.stringify(playersRaw)).filter((p) => !p.withdrawn);
+  players.sort(rankCompare);
+  const n = players.length;
+  if (!n) return { pairings: [], players, floats: 0, colorViolations: 0, repeats: 0, teammatePairings: 0, relaxedAvoidances: [] };
+
+  const prefs = players.map(colorPreference);
+  const orderCost = naturalOrderCost(players);
+  const minScore = scoreOf(players[n - 1]);
+  const isRepeat = (a, b) => havePlayed(a, b) || havePlayed(b, a);
+  // A.7: topscorers in the final round may meet despite absolute color preferences
+  const finalRound = plannedRounds > 0 && round >= plannedRounds;
+  const isTopscorer = (p) => finalRound && scoreOf(p) > (round - 1) / 2;
+
+  function floatHistoryCost(p, dir) {
+    let cost = 0;
+    if (floatIn(p, round - 1) === dir) cost += dir === "D" ? REPEAT_DOWNFLOAT_COST : REPEAT_UPFLOAT_COST;
+    if (floatIn(p, round - 2) === dir) cost += dir === "D" ? REPEAT_DOWNFLOAT2_COST : REPEAT_UPFLOAT2_COST;
+    return cost;
+  }
+
+  // C.3: two absolute preferences for the same color never meet (topscorers aside)
+  function colorBlocked(i, j) {
+    const pa = prefs[i];
+    const pb = prefs[j];
+    return !!pa.color && pa.color === pb.color && pa.strength === ABSOLUTE && pb.strength === ABSOLUTE
+      && !(isTopscorer(players[i]) || isTopscorer(players[j]));
+  }
+
+  function pairCost(i, j) {
+    const a = players[i];
+    const b = players[j];
+    const repeat = isRepeat(a, b);
+    if (repeat && !allowRepeats) return null;
+    if (colorBlocked(i, j)) return null;
+    const pa = prefs[i];
+    const pb = prefs[j];
+    const sameColor = pa.color && pa.color === pb.color;
+
+    let cost = repeat ? REPEAT_COST : 0;
+    const psd = Math.round(Math.abs(scoreOf(a) - scoreOf(b)) * 2);
+    if (psd) cost += psd * FLOAT_COST + floatHistoryCost(a, "D") + floatHistoryCost(b, "U");
+    if (avoidance(a, b)) cost += AVOID_COST;
+    if (sameColor) {
+      cost += COLOR_COST;
+      if (pa.strength >= STRONG && pb.strength >= STRONG) cost += STRONG_COLOR_COST;
+    }
+    return cost + orderCost(i, j);
+  }
+
+  // C.2: one pairing-allocated bye per player; it counts as a downfloat for C.14
+  function byeCost(i) {
+    const p = players[i];
+    if (p.hadBye && !allowRepeats) return null;
+    return (p.hadBye ? REPEAT_COST : 0) + Math.round((scoreOf(p) - minScore) * 2) * FLOAT_COST + floatHistoryCost(p, "D") + (n - 1 - i);
+  }
+
+  const { pairs, byeIndex } = pairByMatching(players, pairCost, byeCost, { colorBlocked, allowRepeats });
+
+  // initial color alternates by the higher player's seed number, as on round one boards
+  const seedNumber = new Map(players.slice().sort(seedCompare).map((p, k) => [p.id, k + 1]));
+  const flip = (c) => (c === "W" ? "B" : "W");
+
+  const allPairings = [];
+  let floats = 0;
+  let colorViolations = 0;
+  let repeats = 0;
+  let teammatePairings = 0;
+  const relaxedAvoidances = [];
+  pairs.forEach(([i, j]) => {
+    const pA = players[i];
+    const pB = players[j];
+    if (isRepeat(pA, pB)) repeats++;
+    if (scoreOf(pA) !== scoreOf(pB)) floats++;
+    if (areTeammates(pA, pB)) teammatePairings++;
+    const initial = seedNumber.get(pA.id) % 2 === 1 ? initialColor : flip(initialColor);
+    const { whiteId, blackId, rule } = allocateColors(pA, pB, prefs[i], prefs[j], initial);
+    const [whitePref, blackPref] = whiteId === pA.id ? [prefs[i], prefs[j]] : [prefs[j], prefs[i]];
+    const whiteReason = colorReason(whitePref, "W", rule);
+    const blackReason = colorReason(blackPref, "B", rule);
+    const reason = avoidance(pA, pB);
+    if (reason) relaxedAvoidances.push({ whiteId, blackId, reason });
+    if (prefs[i].color && prefs[i].color !== (whiteId === pA.id ? "W" : "B")) colorViolations++;
+    if (prefs[j].color && prefs[j].color !== (whiteId === pB.id ? "W" : "B")) colorViolations++;
+    allPairings.push({ whiteId, blackId, isBye: false, result: null, tdNote: null, whiteReason, blackReason });
+    recordPairing(pA, pB, whiteId);
+  });
+
+  if (byeIndex >= 0) {
+    const byePlayer = players[byeIndex];
+    if (byePlayer.hadBye) repeats++;
+    allPairings.push({ whiteId: byePlayer.id, blackId: null, isBye: true, byeType: "full", result: "1-0", tdNote: "auto-bye" });
+    byePlayer.hadBye = true;
+  }
+
+  return { pairings: allPairings, players, floats, colorViolations, repeats, teammatePairings, relaxedAvoidances };
+}
@@ -0,0 +1,51 @@
+import { dutchPairingEngine } from "./dutchPairingEngine";
+
+function player(id, rating, score = 0, extra = {}) {
+  return { id, name: id, rating, score, opponents: [], colors: [], hadBye: false, withdrawn: false, ...extra };
+}
+
+test("round one alternates the initial color down the boards", () => {
+  const players = [player("a", 2000), player("b", 1900), player("c", 1800), player("d", 1700)];
+  const { pairings } = dutchPairingEngine(players, { round: 1, initialColor: "B" });
+  expect(pairings).toEqual([
+    expect.objectContaining({ whiteId: "c", blackId: "a" }),
+    expect.objectContaining({ whiteId: "b", blackId: "d" }),
+  ]);
+});
+
+test("never pairs two players with the same absolute color preference", () => {
+  const players = [
+    player("a", 2000, 2, { opponents: ["x", "y"], colors: ["W", "W"] }),
+    player("b", 1900, 2, { opponents: ["z", "w"], colors: ["W", "W"] }),
+    player("c", 1800, 2, { opponents: ["v", "u"], colors: ["B", "B"] }),
+    player("d", 1700, 2, { opponents: ["t", "s"], colors: ["B", "B"] }),
+  ];
+  const { pairings, colorViolations } = dutchPairingEngine(players, { round: 3, plannedRounds: 5 });
+  pairings.forEach((p) => {
+    expect(["c", "d"]).toContain(p.whiteId);
+    expect(["a", "b"]).toContain(p.blackId);
+  });
+  expect(colorViolations).toBe(0);
+});
+
+test("a color-blocked field is not sent to allowRepeats", () => {
+  const players = [
+    player("a", 2000, 1, { opponents: ["x", "y"], colors: ["W", "W"] }),
+    player("b", 1900, 1, { opponents: ["z", "w"], colors: ["W", "W"] }),
+  ];
+  expect(() => dutchPairingEngine(players, { round: 3, plannedRounds: 5 })).toThrow(/Absolute color preferences rule out opponents for: a, b/);
+  expect(() => dutchPairingEngine(players, { round: 3, plannedRounds: 5 })).not.toThrow(/allowRepeats/);
+  expect(() => dutchPairingEngine(players, { round: 3, plannedRounds: 5, allowRepeats: true })).toThrow(/No legal pairing/);
+});
+
+test("avoids floating the same player down twice in a row", () => {
+  const players = [
+    player("a", 2000, 1),
+    player("b", 1900, 1),
+    player("c", 1800, 1, { floatHistory: [{ round: 1, dir: "D" }] }),
+    player("d", 1700, 0),
+  ];
+  const { pairings } = dutchPairingEngine(players, { round: 2 });
+  const floater = pairings.find((p) => p.whiteId === "d" || p.blackId === "d");
+  expect([floater.whiteId, floater.blackId]).toContain("b");
+});
@@ -0,0 +1,95 @@
+// src/services/eligibility.js
+// Exported functions:
+// - validateEligibility(rules) -> cleaned rules or null (open section); throws on a bad rule
+// - eligibilityLabel(rules) -> "U1200, grades K-5, no unrated" for the section list
+// - eligibilityProblems(player, rules, { ratingLookup }) -> reasons the player can't enter (empty = eligible)
+// - suggestSections(player, sections, { ratingLookup }) -> eligible sections, best fit first
+//
+// Section eligibility (section doc field eligibility, null for an open section):
+// { minRating, maxRating, minGrade, maxGrade, allowUnrated, ratingAsOf }
+// - minRating / maxRating are inclusive, so "U1200" is maxRating 1199; null = no limit
+// - minGrade / maxGrade: 0 = kindergarten to 12; a player with no grade on file fails a grade rule
+// - allowUnrated: false keeps unrated players (rating 0 or missing) out; when true they pass
+//   the rating limits
+// - ratingAsOf (YYYY-MM-DD): the rating that counts is the one in force on that date. The
+//   caller passes ratingLookup(player, date) -> rating or null, e.g. from that month's
+//   supplement (ratingSupplement.js); the rating on the player doc is used when it returns null.
+// The best fit among eligible sections is the tightest: lowest rating ceiling, then highest floor.
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+function optionalInt(value, label, min, max) {
+  if (value === null || value === undefined || value === "") return null;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min || n > max) throw new Error(`${label} must be a whole number from ${min} to ${max}`);
+  return n;
+}
+
+export function validateEligibility(rules) {
+  if (!rules) return null;
+  const cleaned = {
+    minRating: optionalInt(rules.minRating, "Rating floor", 0, 3000),
+    maxRating: optionalInt(rules.maxRating, "Rating ceiling", 0, 3000),
+    minGrade: optionalInt(rules.minGrade, "Lowest grade", 0, 12),
+    maxGrade: optionalInt(rules.maxGrade, "Highest grade", 0, 12),
+    allowUnrated: rules.allowUnrated !== false,
+    ratingAsOf: rules.ratingAsOf || null,
+  };
+  if (cleaned.minRating !== null && cleaned.maxRating !== null && cleaned.minRating > cleaned.maxRating) {
+    throw new Error("The rating floor is above the ceiling");
+  }
+  if (cleaned.minGrade !== null && cleaned.maxGrade !== null && cleaned.minGrade > cleaned.maxGrade) {
+    throw new Error("The lowest grade is above the highest");
+  }
+  if (cleaned.ratingAsOf && !DATE.test(cleaned.ratingAsOf)) throw new Error("Rating-as-of date must look like 2026-10-01");
+  const open = cleaned.minRating === null && cleaned.maxRating === null && cleaned.minGrade === null
+    && cleaned.maxGrade === null && cleaned.allowUnrated;
+  return open ? null : cleaned;
+}
+
+const gradeName = (g) => (g === 0 ? "K" : String(g));
+
+export function eligibilityLabel(rules) {
+  if (!rules) return "open";
+  const parts = [];
+  if (rules.maxRating !== null && rules.minRating !== null) parts.push(`${rules.minRating}-${rules.maxRating}`);
+  else if (rules.maxRating !== null) parts.push(`U${rules.maxRating + 1}`);
+  else if (rules.minRating !== null) parts.push(`${rules.minRating}+`);
+  if (rules.minGrade !== null || rules.maxGrade !== null) {
+    parts.push(`grades ${gradeName(rules.minGrade ?? 0)}-${gradeName(rules.maxGrade ?? 12)}`);
+  }
+  if (!rules.allowUnrated) parts.push("no unrated");
+  if (rules.ratingAsOf) parts.push(`ratings as of ${rules.ratingAsOf}`);
+  return parts.join(", ");
+}
+
+export function eligibilityProblems(player, rules, { ratingLookup = null } = {}) {
+  if (!rules) return [];
+  const problems = [];
+  const asOf = ratingLookup && rules.ratingAsOf ? ratingLookup(player, rules.ratingAsOf) : null;
+  const rating = Number(asOf ?? player.rating) || 0;
+  const when = rules.ratingAsOf && asOf != null ? ` (as of ${rules.ratingAsOf})` : "";
+  if (!rating) {
+    if (!rules.allowUnrated) problems.push("unrated players are not allowed");
+  } else {
+    if (rules.maxRating !== null && rating > rules.maxRating) problems.push(`rating ${rating}${when} is above ${rules.maxRating}`);
+    if (rules.minRating !== null && rating < rules.minRating) problems.push(`rating ${rating}${when} is below ${rules.minRating}`);
+  }
+  if (rules.minGrade !== null || rules.maxGrade !== null) {
+    const grade = player.grade;
+    if (grade === null || grade === undefined || grade === "") problems.push("no grade given");
+    else if (rules.minGrade !== null && grade < rules.minGrade) problems.push(`grade ${gradeName(grade)} is below ${gradeName(rules.minGrade)}`);
+    else if (rules.maxGrade !== null && grade > rules.maxGrade) problems.push(`grade ${gradeName(grade)} is above ${gradeName(rules.maxGrade)}`);
+  }
+  return problems;
+}
+
+const ceiling = (s) => (s.eligibility && s.eligibility.maxRating !== null ? s.eligibility.maxRating : Infinity);
+const floor = (s) => (s.eligibility && s.eligibility.minRating !== null ? s.eligibility.minRating : -1);
+
+// sections: [{ id, name, eligibility, ... }]; only sections still taking entries should be passed
+export function suggestSections(player, sections = [], options) {
+  return sections
+    .filter((s) => eligibilityProblems(player, s.eligibility, options).length === 0)
+    .sort((a, b) => ceiling(a) - ceiling(b) || floor(b) - floor(a));
+}
@@ -0,0 +1,45 @@
+import { validateEligibility, eligibilityLabel, eligibilityProblems, suggestSections } from "./eligibility";
+
+test("rules are cleaned, and a section with no limits is open", () => {
+  expect(validateEligibility({ maxRating: "1199", minGrade: "0", maxGrade: "5", allowUnrated: false })).toEqual({
+    minRating: null,
+    maxRating: 1199,
+    minGrade: 0,
+    maxGrade: 5,
+    allowUnrated: false,
+    ratingAsOf: null,
+  });
+  expect(validateEligibility({ minRating: "", allowUnrated: true })).toBeNull();
+  expect(() => validateEligibility({ minRating: 1400, maxRating: 1000 })).toThrow(/floor is above/);
+  expect(() => validateEligibility({ maxGrade: 13 })).toThrow(/Highest grade/);
+  expect(() => validateEligibility({ maxRating: 999, ratingAsOf: "10/01/2026" })).toThrow(/as-of/);
+  expect(eligibilityLabel(validateEligibility({ maxRating: 1199, minGrade: 0, maxGrade: 5, allowUnrated: false }))).toBe(
+    "U1200, grades K-5, no unrated"
+  );
+  expect(eligibilityLabel(null)).toBe("open");
+});
+
+test("players are checked against the limits, using the as-of rating when there is one", () => {
+  const u1200 = validateEligibility({ maxRating: 1199, maxGrade: 5 });
+  expect(eligibilityProblems({ rating: 1000, grade: 3 }, u1200)).toEqual([]);
+  expect(eligibilityProblems({ rating: 0, grade: 0 }, u1200)).toEqual([]);
+  expect(eligibilityProblems({ rating: 1250, grade: 7 }, u1200)).toEqual(["rating 1250 is above 1199", "grade 7 is above 5"]);
+  expect(eligibilityProblems({ rating: 1000 }, u1200)).toEqual(["no grade given"]);
+
+  const asOf = { ...u1200, ratingAsOf: "2026-09-01" };
+  const ratingLookup = (player, date) => (date === "2026-09-01" && player.uscfId === "30000001" ? 1150 : null);
+  expect(eligibilityProblems({ uscfId: "30000001", rating: 1250, grade: 4 }, asOf, { ratingLookup })).toEqual([]);
+  expect(eligibilityProblems({ uscfId: "30000002", rating: 1250, grade: 4 }, asOf, { ratingLookup })).toEqual(["rating 1250 is above 1199"]);
+});
+
+test("the tightest section that fits is suggested first", () => {
+  const sections = [
+    { id: "open", name: "Open", eligibility: null },
+    { id: "u800", name: "U800", eligibility: validateEligibility({ maxRating: 799 }) },
+    { id: "u1200", name: "U1200", eligibility: validateEligibility({ maxRating: 1199 }) },
+    { id: "rated", name: "Rated K-5", eligibility: validateEligibility({ minRating: 100, maxRating: 1199, maxGrade: 5, allowUnrated: false }) },
+  ];
+  expect(suggestSections({ rating: 1000, grade: 3 }, sections).map((s) => s.id)).toEqual(["rated", "u1200", "open"]);
+  expect(suggestSections({ rating: 600, grade: 8 }, sections).map((s) => s.id)).toEqual(["u800", "u1200", "open"]);
+  expect(suggestSections({ rating: 1500 }, sections).map((s) => s.id)).toEqual(["open"]);
+});
@@ -6,6 +6,7 @@ import {
   setDoc,
   getDocs,
   getDoc,
+  deleteDoc,
   onSnapshot,
   writeBatch,
   updateDoc,
@@ -13,9 +14,35 @@ import {
   serverTimestamp,
   query,
   orderBy,
+  arrayUnion,
+  arrayRemove,
 } from "firebase/firestore";
 import { db } from "../firebase";
-import { uscfPairingEngine, computeTieBreaks } from "./pairingEngine";
+import { uscfPairingEngine, scoreOf } from "./pairingEngine";
+import { TIEBREAKS, TIEBREAK_ORDER } from "./tiebreaks";
+import { dutchPairingEngine } from "./dutchPairingEngine";
+import { applyAcceleration } from "./acceleration";
+import { bergerSchedule } from "./roundRobin";
+import { splitIntoQuads, QUAD_ROUNDS } from "./quads";
+import { DEFAULT_TEAM_SCORING } from "./teams";
+import { DEFAULT_AVOIDANCE, avoidanceReason } from "./avoidance";
+import { seedBracket, firstRoundPairings, nextRoundPairings, matchWinner } from "./knockout";
+import { requestedByePairings, BYE_TYPES, countedHalfByes } from "./byes";
+import { checkPairings } from "./draftRound";
+import { sectionState, assertCanDo } from "./lifecycle";
+import { validateTournamentSettings } from "./tournamentSettings";
+import { ptsFromStr, isForfeit, diffPlayerState } from "./playerState";
+import { exportTrf, parseTrf } from "./trf";
+import { buildRatingReport } from "./uscfReport";
+import { loadSupplement, membershipProblems, supplementRatingLookup } from "./ratingSupplement";
+import { parseDelimited } from "./delimited";
+import { guessMapping, previewRoster, rosterReport } from "./rosterImport";
+import { validateEligibility, eligibilityProblems, suggestSections } from "./eligibility";
+
+// "quads" sections are registration pools only; createQuads splits them into round robins.
+const SECTION_FORMATS = ["swiss", "roundrobin", "quads", "knockout"];
+const INITIAL_COLORS = ["W", "B", "random"];
+const ROSTER_BATCH_SIZE = 400;
 
 // ------------------- helpers -------------------
 function tournamentsCol() { return collection(db, "tournaments"); }
@@ -23,23 +50,155 @@ function sectionsCol(tournamentId) { return collection(db, "tournaments", tourna
 function playersCol(tournamentId, sectionId) { return collection(db, "tournaments", tournamentId, "sections", sectionId, "players"); }
 function roundsCol(tournamentId, sectionId) { return collection(db, "tournaments", tournamentId, "sections", sectionId, "rounds"); }
 
+// Games a player actually sat down to before the given round: the index of that round's color
+// in their color history.
+function playedGamesBefore(rounds, playerId, roundNumber) {
+  return rounds
+    .filter((r) => r.number < roundNumber)
+    .filter((r) => (r.pairings || []).some((x) => !x.isBye && !isForfeit(x.result) && (x.whiteId === playerId || x.blackId === playerId)))
+    .length;
+}
+
+// Loads the section and its rounds and checks that the action is allowed in the section's
+// lifecycle state (see lifecycle.js); throws with the reason when it isn't.
+async function assertSectionAction(tournamentId, sectionId, action, options = {}) {
+  const secSnap = await getDoc(doc(db, "tournaments", tournamentId, "sections", sectionId));
+  if (!secSnap.exists()) throw new Error("Section not found");
+  const section = secSnap.data();
+  const roundsSnap = await getDocs(roundsCol(tournamentId, sectionId));
+  const rounds = roundsSnap.docs.map((d) => ({ id: d.id, ...d.data() }));
+  assertCanDo(sectionState(section, rounds), action, { ...options, section });
+  return { section, rounds };
+}
+
+// Pairing engines selectable per section through the section's pairingSystem field.
+// Every engine takes (players, options) and returns { pairings, players, floats, colorViolations, repeats }.
+const PAIRING_ENGINES = {
+  uscf: uscfPairingEngine,
+  dutch: dutchPairingEngine,
+};
+
 // ------------------- tournament/section CRUD -------------------
 
-// Create a tournament (returns docRef.id)
-export async function createTournament(name = "Default Tournament") {
+// Create a tournament (returns docRef.id). settings: dates, venue, time control, rounds per
+// section, rating type, chief TD... (see tournamentSettings.js)
+export async function createTournament(name = "Default Tournament", settings = {}) {
   const ref = await addDoc(tournamentsCol(), {
-    name,
+    ...validateTournamentSettings({ ...settings, name }),
     createdAt: serverTimestamp(),
   });
   return ref.id;
 }
 
-// Create a section (returns sectionId)
-export async function createSection(tournamentId, { name = "Open", uscfMode = true }) {
+// Change some of the tournament's settings; the rest keep their values.
+export async function updateTournamentSettings(tournamentId, settings) {
+  const ref = doc(db, "tournaments", tournamentId);
+  const snap = await getDoc(ref);
+  if (!snap.exists()) throw new Error("Tournament not found");
+  await updateDoc(ref, validateTournamentSettings({ ...snap.data(), ...settings }));
+}
+
+// Real-time list of tournaments, newest first. callback gets array of { id, ...data }
+export function subscribeTournaments(callback) {
+  return onSnapshot(query(tournamentsCol(), orderBy("createdAt", "desc")), (snap) => {
+    callback(snap.docs.map((d) => ({ id: d.id, ...d.data() })));
+  });
+}
+
+// callback gets the tournament doc ({ id, ...data }) or null
+export function subscribeTournament(tournamentId, callback) {
+  return onSnapshot(doc(db, "tournaments", tournamentId), (snap) => {
+    callback(snap.exists() ? { id: snap.id, ...snap.data() } : null);
+  });
+}
+
+// Which month's rating supplement the event uses ("2026-10"); scholastic events often rate
+// off an earlier cutoff month. The supplement itself is stored in the browser (ratingSupplement.js).
+export async function setSupplementMonth(tournamentId, month) {
+  if (month && !/^\d{4}-\d{2}$/.test(month)) throw new Error("Supplement month must look like 2026-10");
+  await updateDoc(doc(db, "tournaments", tournamentId), { supplementMonth: month || null });
+}
+
+function validateAcceleration(acceleration) {
+  if (!acceleration) return null;
+  const { method = "davis", rounds = 0, cutoffRating = null } = acceleration;
+  if (!["davis", "baku"].includes(method)) throw new Error("Unknown acceleration method: " + method);
+  if (!Number.isInteger(Number(rounds)) || Number(rounds) < 0) throw new Error("Accelerated rounds must be a whole number");
+  return { method, rounds: Number(rounds), cutoffRating: cutoffRating ? Number(cutoffRating) : null };
+}
+
+function validateTeamScoring(teamScoring) {
+  const { topN = DEFAULT_TEAM_SCORING.topN, tiebreaks = DEFAULT_TEAM_SCORING.tiebreaks } = teamScoring || {};
+  if (!Number.isInteger(Number(topN)) || Number(topN) < 1) throw new Error("Team topN must be a positive whole number");
+  return { topN: Number(topN), tiebreaks: tiebreaks.slice() };
+}
+
+// Ordered tiebreak list; defaults to the format's usual order (see tiebreaks.js)
+function validateTiebreaks(tiebreaks, format) {
+  if (!tiebreaks) return (TIEBREAK_ORDER[format] || TIEBREAK_ORDER.swiss).slice();
+  tiebreaks.forEach((key) => {
+    if (!TIEBREAKS.includes(key)) throw new Error("Unknown tiebreak: " + key);
+  });
+  if (new Set(tiebreaks).size !== tiebreaks.length) throw new Error("A tiebreak can only be listed once");
+  return tiebreaks.slice();
+}
+
+function validateByeLimit(limit) {
+  if (limit === null || limit === undefined || limit === "") return null;
+  if (!Number.isInteger(Number(limit)) || Number(limit) < 0) throw new Error("Half-point bye limit must be a whole number");
+  return Number(limit);
+}
+
+// Create a section (returns sectionId). pairingSystem is "uscf" or "dutch" (FIDE Dutch).
+// acceleration: optional { method: "davis" | "baku", rounds, cutoffRating } (see acceleration.js)
+// format: "swiss", "roundrobin" (schedule built from Berger tables at lockSection), "quads"
+// or "knockout" (seeded bracket built at lockSection)
+// teamScoring: { topN, tiebreaks } for school standings; avoidTeammatesRounds: keep teammates apart
+// for that many opening rounds when possible; avoidance: "do not pair" rules (see avoidance.js)
+// initialColor: the top seed's color in round one, "W", "B" or "random" (coin toss at round one)
+// maxHalfPointByes: how many requested half-point byes score half a point (null = no limit)
+// withdrawDoubleForfeits: a double forfeit sits both players out of the next round
+// tiebreaks: ordered list of tiebreak keys used to rank the section (default by format)
+// eligibility: rating and grade limits for entries, null for an open section (see eligibility.js)
+export async function createSection(
+  tournamentId,
+  {
+    name = "Open",
+    uscfMode = true,
+    pairingSystem = "uscf",
+    acceleration = null,
+    format = "swiss",
+    doubleRoundRobin = false,
+    teamScoring = DEFAULT_TEAM_SCORING,
+    avoidTeammatesRounds = 0,
+    avoidance = DEFAULT_AVOIDANCE,
+    initialColor = "random",
+    maxHalfPointByes = null,
+    withdrawDoubleForfeits = false,
+    tiebreaks = null,
+    eligibility = null,
+  }
+) {
+  if (!PAIRING_ENGINES[pairingSystem]) throw new Error("Unknown pairing system: " + pairingSystem);
+  if (!SECTION_FORMATS.includes(format)) throw new Error("Unknown section format: " + format);
+  if (!INITIAL_COLORS.includes(initialColor)) throw new Error("Initial color must be W, B or random");
   const ref = await addDoc(sectionsCol(tournamentId), {
     name,
     uscfMode,
+    pairingSystem,
+    acceleration: validateAcceleration(acceleration),
+    format,
+    doubleRoundRobin: !!doubleRoundRobin,
+    teamScoring: validateTeamScoring(teamScoring),
+    avoidTeammatesRounds: Number(avoidTeammatesRounds) || 0,
+    avoidance: { ...DEFAULT_AVOIDANCE, ...avoidance },
+    initialColor,
+    maxHalfPointByes: validateByeLimit(maxHalfPointByes),
+    withdrawDoubleForfeits: !!withdrawDoubleForfeits,
+    tiebreaks: validateTiebreaks(tiebreaks, format),
+    eligibility: validateEligibility(eligibility),
     locked: false,
+    finished: false,
     plannedRounds: 0,
     createdAt: serverTimestamp(),
   });
@@ -83,95 +242,888 @@ export function subscribeSectionData(tournamentId, sectionId, handlers) {
   };
 }
 
+// Set or clear (pass null) the acceleration used for the opening rounds of a section.
+export async function setAcceleration(tournamentId, sectionId, acceleration) {
+  await assertSectionAction(tournamentId, sectionId, "configure");
+  const secRef = doc(db, "tournaments", tournamentId, "sections", sectionId);
+  await updateDoc(secRef, { acceleration: validateAcceleration(acceleration) });
+}
+
+// Set or clear (pass null) who may enter the section. Players already entered are not checked again.
+export async function setEligibility(tournamentId, sectionId, eligibility) {
+  await assertSectionAction(tournamentId, sectionId, "configure");
+  const secRef = doc(db, "tournaments", tournamentId, "sections", sectionId);
+  await updateDoc(secRef, { eligibility: validateEligibility(eligibility) });
+}
+
+// Round-one color for the top seed: "W", "B" or "random". Only matters before round one is paired.
+export async function setInitialColor(tournamentId, sectionId, initialColor) {
+  await assertSectionAction(tournamentId, sectionId, "configure");
+  if (!INITIAL_COLORS.includes(initialColor)) throw new Error("Initial color must be W, B or random");
+  const secRef = doc(db, "tournaments", tournamentId, "sections", sectionId);
+  await updateDoc(secRef, { initialColor, drawnInitialColor: null });
+}
+
+// Cap on requested half-point byes that score; later ones score zero. Pass null for no cap.
+export async function setMaxHalfPointByes(tournamentId, sectionId, maxHalfPointByes) {
+  await assertSectionAction(tournamentId, sectionId, "configure");
+  const secRef = doc(db, "tournaments", tournamentId, "sections", sectionId);
+  await updateDoc(secRef, { maxHalfPointByes: validateByeLimit(maxHalfPointByes) });
+}
+
+// Replace the section's ordered tiebreak list (null restores the format's default).
+export async function setTiebreaks(tournamentId, sectionId, tiebreaks) {
+  await assertSectionAction(tournamentId, sectionId, "configure");
+  const secRef = doc(db, "tournaments", tournamentId, "sections", sectionId);
+  const secSnap = await getDoc(secRef);
+  if (!secSnap.exists()) throw new Error("Section not found");
+  await updateDoc(secRef, { tiebreaks: validateTiebreaks(tiebreaks, secSnap.data().format) });
+}
+
+export async function setWithdrawDoubleForfeits(tournamentId, sectionId, withdrawDoubleForfeits) {
+  await assertSectionAction(tournamentId, sectionId, "configure");
+  const secRef = doc(db, "tournaments", tournamentId, "sections", sectionId);
+  await updateDoc(secRef, { withdrawDoubleForfeits: !!withdrawDoubleForfeits });
+}
+
+// Team scoring settings: { topN, tiebreaks } and how many opening rounds keep teammates apart.
+export async function setTeamScoring(tournamentId, sectionId, { teamScoring, avoidTeammatesRounds }) {
+  await assertSectionAction(tournamentId, sectionId, "configure");
+  const secRef = doc(db, "tournaments", tournamentId, "sections", sectionId);
+  const update = {};
+  if (teamScoring !== undefined) update.teamScoring = validateTeamScoring(teamScoring);
+  if (avoidTeammatesRounds !== undefined) update.avoidTeammatesRounds = Number(avoidTeammatesRounds) || 0;
+  await updateDoc(secRef, update);
+}
+
+// "Do not pair" rules: { byFamily, byClub, relaxLastRounds }. Explicit pairs are kept as they are.
+export async function setAvoidanceRules(tournamentId, sectionId, { byFamily, byClub, relaxLastRounds }) {
+  await assertSectionAction(tournamentId, sectionId, "configure");
+  const secRef = doc(db, "tournaments", tournamentId, "sections", sectionId);
+  const update = {};
+  if (byFamily !== undefined) update["avoidance.byFamily"] = !!byFamily;
+  if (byClub !== undefined) update["avoidance.byClub"] = !!byClub;
+  if (relaxLastRounds !== undefined) update["avoidance.relaxLastRounds"] = Number(relaxLastRounds) || 0;
+  await updateDoc(secRef, update);
+}
+
+// Ask the engine not to pair two players (siblings, coach request...) while it can be avoided.
+export async function addAvoidancePair(tournamentId, sectionId, playerAId, playerBId) {
+  await assertSectionAction(tournamentId, sectionId, "configure");
+  if (playerAId === playerBId) throw new Error("Pick two different players");
+  const [a, b] = [playerAId, playerBId].sort();
+  const secRef = doc(db, "tournaments", tournamentId, "sections", sectionId);
+  await updateDoc(secRef, { "avoidance.pairs": arrayUnion({ a, b }) });
+}
+
+export async function removeAvoidancePair(tournamentId, sectionId, playerAId, playerBId) {
+  await assertSectionAction(tournamentId, sectionId, "configure");
+  const [a, b] = [playerAId, playerBId].sort();
+  const secRef = doc(db, "tournaments", tournamentId, "sections", sectionId);
+  await updateDoc(secRef, { "avoidance.pairs": arrayRemove({ a, b }) });
+}
+
 // ------------------- players -------------------
 
-// Add player (creates document in players subcollection)
-export async function addPlayer(tournamentId, sectionId, playerData) {
-  const p = {
+// A fresh player doc from registration data (addPlayer and the roster import)
+function newPlayerDoc(playerData) {
+  return {
     name: playerData.name,
     uscfId: playerData.uscfId || null,
     rating: Number(playerData.rating || 0),
+    // games behind the rating (US Chess "P12" = 12); null when unknown, see ratings.js
+    ratedGames: playerData.ratedGames != null && playerData.ratedGames !== "" ? Number(playerData.ratedGames) : null,
+    membershipExpires: playerData.membershipExpires || null,
+    grade: playerData.grade ?? null, // 0 = kindergarten
+    team: playerData.team || null,
+    family: playerData.family || null,
+    club: playerData.club || null,
+    requestedByes: (playerData.requestedByes || []).map(({ round, type }) => ({ round: Number(round), type })),
     score: 0,
     opponents: [],
     colors: [],
     results: [],
     hadBye: false,
+    floatHistory: [],
     withdrawn: false,
+    eligibilityOverride: playerData.eligibilityOverride || null, // { reason, problems } when let in by the TD
     createdAt: serverTimestamp(),
   };
-  const ref = await addDoc(playersCol(tournamentId, sectionId), p);
+}
+
+// Checks an entry against the section's eligibility rules. Returns the eligibilityOverride to
+// store (null when eligible); throws naming the problems and a section that fits unless the TD
+// gave overrideReason.
+async function checkEligibility(tournamentId, sectionId, section, playerData, overrideReason) {
+  const ratingLookup = supplementRatingLookup();
+  const problems = eligibilityProblems(playerData, section.eligibility, { ratingLookup });
+  if (!problems.length) return null;
+  if (overrideReason) return { reason: overrideReason, problems };
+  const sectionsSnap = await getDocs(sectionsCol(tournamentId));
+  const others = sectionsSnap.docs
+    .map((d) => ({ id: d.id, ...d.data() }))
+    .filter((s) => s.id !== sectionId && !s.locked);
+  const fits = suggestSections(playerData, others, { ratingLookup })[0];
+  throw new Error(
+    `${playerData.name} is not eligible for ${section.name}: ${problems.join(", ")}` +
+      (fits ? `. ${fits.name} fits.` : ".") +
+      " Give a reason to override."
+  );
+}
+
+// Sections still taking entries that the player is eligible for, best fit first.
+export async function suggestSectionsFor(tournamentId, playerData) {
+  const sectionsSnap = await getDocs(sectionsCol(tournamentId));
+  const open = sectionsSnap.docs.map((d) => ({ id: d.id, ...d.data() })).filter((s) => !s.locked);
+  return suggestSections(playerData, open, { ratingLookup: supplementRatingLookup() });
+}
+
+// Add player (creates document in players subcollection). Once the section is locked,
+// players come in through addLateEntry instead. A player outside the section's eligibility
+// rules is refused unless overrideReason is given.
+export async function addPlayer(tournamentId, sectionId, playerData, { overrideReason = null } = {}) {
+  const { section } = await assertSectionAction(tournamentId, sectionId, "addPlayer");
+  const eligibilityOverride = await checkEligibility(tournamentId, sectionId, section, playerData, overrideReason);
+  const ref = await addDoc(playersCol(tournamentId, sectionId), newPlayerDoc({ ...playerData, eligibilityOverride }));
   return ref.id;
 }
 
+// Roster import, step one: read a CSV/TSV registration file and check every row against the
+// tournament's sections and the players already entered (see rosterImport.js). Pass mapping to
+// override the columns guessed from the header; overrides ({ [row]: reason }) lets ineligible
+// rows in. Nothing is written.
+export async function previewRosterImport(tournamentId, text, { mapping = null, defaultSectionId = null, overrides = {} } = {}) {
+  const { headers, rows } = parseDelimited(text);
+  const sectionsSnap = await getDocs(sectionsCol(tournamentId));
+  const sections = sectionsSnap.docs.map((d) => ({ id: d.id, ...d.data() }));
+  const existingPlayers = {};
+  await Promise.all(
+    sections.map(async (s) => {
+      const playersSnap = await getDocs(playersCol(tournamentId, s.id));
+      existingPlayers[s.id] = playersSnap.docs.map((d) => ({ id: d.id, ...d.data() }));
+    })
+  );
+  const columns = mapping || guessMapping(headers);
+  const ratingLookup = supplementRatingLookup();
+  const preview = previewRoster(rows, columns, { sections, existingPlayers, defaultSectionId, overrides, ratingLookup });
+  return { headers, mapping: columns, preview };
+}
+
+// Roster import, step two: write the accepted rows of a preview, in batches under Firestore's
+// 500-write limit. Returns the import report.
+export async function importRoster(tournamentId, preview) {
+  const accepted = preview.filter((r) => r.accepted);
+  for (const sectionId of new Set(accepted.map((r) => r.sectionId))) {
+    await assertSectionAction(tournamentId, sectionId, "addPlayer");
+  }
+  for (let start = 0; start < accepted.length; start += ROSTER_BATCH_SIZE) {
+    const batch = writeBatch(db);
+    accepted.slice(start, start + ROSTER_BATCH_SIZE).forEach((r) => {
+      batch.set(doc(playersCol(tournamentId, r.sectionId)), newPlayerDoc(r.player));
+    });
+    await batch.commit();
+  }
+  return rosterReport(preview);
+}
+
+// Request a half- or zero-point bye for a round that has not been paired yet (Swiss sections only).
+// A new request for the same round replaces the old one.
+export async function requestBye(tournamentId, sectionId, playerId, round, type = "half") {
+  await assertSectionAction(tournamentId, sectionId, "requestBye");
+  if (type !== "half" && type !== "zero") throw new Error("A requested bye is either half or zero");
+  const secSnap = await getDoc(doc(db, "tournaments", tournamentId, "sections", sectionId));
+  if (!secSnap.exists()) throw new Error("Section not found");
+  const format = secSnap.data().format || "swiss";
+  if (format !== "swiss") throw new Error("Byes can only be requested in Swiss sections");
+  const roundsSnapshot = await getDocs(roundsCol(tournamentId, sectionId));
+  if (Number(round) <= roundsSnapshot.size) throw new Error("Round " + round + " has already been paired");
+  const playerRef = doc(db, "tournaments", tournamentId, "sections", sectionId, "players", playerId);
+  await runTransaction(db, async (tx) => {
+    const pSnap = await tx.get(playerRef);
+    if (!pSnap.exists()) throw new Error("Player not found");
+    const requestedByes = (pSnap.data().requestedByes || []).filter((r) => r.round !== Number(round));
+    requestedByes.push({ round: Number(round), type });
+    requestedByes.sort((a, b) => a.round - b.round);
+    tx.update(playerRef, { requestedByes });
+  });
+}
+
+export async function cancelRequestedBye(tournamentId, sectionId, playerId, round) {
+  await assertSectionAction(tournamentId, sectionId, "requestBye");
+  const playerRef = doc(db, "tournaments", tournamentId, "sections", sectionId, "players", playerId);
+  await runTransaction(db, async (tx) => {
+    const pSnap = await tx.get(playerRef);
+    if (!pSnap.exists()) throw new Error("Player not found");
+    tx.update(playerRef, { requestedByes: (pSnap.data().requestedByes || []).filter((r) => r.round !== Number(round)) });
+  });
+}
+
+// Move a player entered in the wrong section, keeping their doc id and everything on it
+// (requested byes, team, override notes...). Only possible while neither section has a round
+// paired; after that, withdraw the player and add them to the other section as a late entry.
+// The target section's eligibility rules are checked as in addPlayer. Avoidance pairs naming the
+// player in the old section are dropped, and either section's unpublished draft is discarded.
+export async function movePlayer(tournamentId, fromSectionId, toSectionId, playerId, { overrideReason = null } = {}) {
+  if (fromSectionId === toSectionId) throw new Error("The player is already in that section");
+  await assertSectionAction(tournamentId, fromSectionId, "movePlayer");
+  const { section: target } = await assertSectionAction(tournamentId, toSectionId, "movePlayer");
+  const fromRef = doc(playersCol(tournamentId, fromSectionId), playerId);
+  const toRef = doc(playersCol(tournamentId, toSectionId), playerId);
+  const fromSecRef = doc(db, "tournaments", tournamentId, "sections", fromSectionId);
+  const targetPlayersSnap = await getDocs(playersCol(tournamentId, toSectionId));
+
+  const pSnap = await getDoc(fromRef);
+  if (!pSnap.exists()) throw new Error("Player not found");
+  const player = pSnap.data();
+  if (player.uscfId && targetPlayersSnap.docs.some((d) => d.data().uscfId === player.uscfId)) {
+    throw new Error(`USCF ID ${player.uscfId} is already entered in ${target.name}`);
+  }
+  const eligibilityOverride = await checkEligibility(tournamentId, toSectionId, target, player, overrideReason);
+
+  await runTransaction(db, async (tx) => {
+    const [moving, fromSec, existing] = await Promise.all([tx.get(fromRef), tx.get(fromSecRef), tx.get(toRef)]);
+    if (!moving.exists()) throw new Error("Player not found");
+    if (existing.exists()) throw new Error("A player with that id is already in " + target.name);
+    const pairs = ((fromSec.data().avoidance || {}).pairs || []).filter((pr) => pr.a !== playerId && pr.b !== playerId);
+    tx.set(toRef, { ...moving.data(), eligibilityOverride, updatedAt: serverTimestamp() });
+    tx.delete(fromRef);
+    tx.update(fromSecRef, { "avoidance.pairs": pairs });
+    tx.delete(draftRef(tournamentId, fromSectionId));
+    tx.delete(draftRef(tournamentId, toSectionId));
+  });
+}
+
+// ------------------- withdrawals & late entries -------------------
+// withdrawn: true takes a player out of every pairing from the next round on (withdrawnFrom
+// records which); round robins and knockouts score their scheduled games as forfeits.
+// Sitting out a single Swiss round is a zero-point bye request marked reason "withdrawn".
+// A late entry joins a locked Swiss section with, optionally, a half- or zero-point bye in
+// each round already paired; those byes go on the round docs too, so the crosstable and the
+// integrity check (playerState.js) see them like any other bye. Half-point byes count
+// against the section's maxHalfPointByes.
+
+// Withdraw from now on, or with { round } for that one (not yet paired) round only.
+export async function withdrawPlayer(tournamentId, sectionId, playerId, { round = null } = {}) {
+  await assertSectionAction(tournamentId, sectionId, "withdraw");
+  const roundsSnapshot = await getDocs(roundsCol(tournamentId, sectionId));
+  const nextRound = roundsSnapshot.size + 1;
+  const playerRef = doc(playersCol(tournamentId, sectionId), playerId);
+  if (round !== null) {
+    const secSnap = await getDoc(doc(db, "tournaments", tournamentId, "sections", sectionId));
+    const format = secSnap.exists() ? secSnap.data().format || "swiss" : "swiss";
+    if (format !== "swiss") {
+      throw new Error("Single-round withdrawals are for Swiss sections - enter a forfeit instead");
+    }
+    if (Number(round) < nextRound) throw new Error("Round " + round + " has already been paired");
+  }
+  await runTransaction(db, async (tx) => {
+    const pSnap = await tx.get(playerRef);
+    if (!pSnap.exists()) throw new Error("Player not found");
+    const p = pSnap.data();
+    if (p.withdrawn) throw new Error(p.name + " has already withdrawn");
+    if (round === null) {
+      tx.update(playerRef, { withdrawn: true, withdrawnFrom: nextRound, updatedAt: serverTimestamp() });
+      return;
+    }
+    const requestedByes = (p.requestedByes || []).filter((r) => r.round !== Number(round));
+    requestedByes.push({ round: Number(round), type: "zero", reason: "withdrawn" });
+    requestedByes.sort((a, b) => a.round - b.round);
+    tx.update(playerRef, { requestedByes, updatedAt: serverTimestamp() });
+  });
+}
+
+// Undo a withdrawal: the player is paired again from the next round, and any single-round
+// withdrawals still ahead are dropped. Rounds already paired without them stay as they are.
+export async function reinstatePlayer(tournamentId, sectionId, playerId) {
+  await assertSectionAction(tournamentId, sectionId, "withdraw");
+  const roundsSnapshot = await getDocs(roundsCol(tournamentId, sectionId));
+  const paired = roundsSnapshot.size;
+  const playerRef = doc(playersCol(tournamentId, sectionId), playerId);
+  await runTransaction(db, async (tx) => {
+    const pSnap = await tx.get(playerRef);
+    if (!pSnap.exists()) throw new Error("Player not found");
+    const requestedByes = (pSnap.data().requestedByes || []).filter((r) => !(r.reason === "withdrawn" && r.round > paired));
+    tx.update(playerRef, { withdrawn: false, withdrawnFrom: null, requestedByes, updatedAt: serverTimestamp() });
+  });
+}
+
+// Add a player to a running Swiss section. missedRounds: "half" or "zero" gives a bye of that
+// kind in every round already paired; null leaves those rounds unplayed. Eligibility is checked
+// as in addPlayer. Returns the player id.
+export async function addLateEntry(tournamentId, sectionId, playerData, { missedRounds = null, overrideReason = null } = {}) {
+  const { section: current } = await assertSectionAction(tournamentId, sectionId, "lateEntry");
+  const eligibilityOverride = await checkEligibility(tournamentId, sectionId, current, playerData, overrideReason);
+  if (missedRounds !== null && missedRounds !== "half" && missedRounds !== "zero") {
+    throw new Error("Byes for missed rounds are either half or zero");
+  }
+  const secRef = doc(db, "tournaments", tournamentId, "sections", sectionId);
+  const roundsSnapshot = await getDocs(roundsCol(tournamentId, sectionId));
+  const roundRefs = roundsSnapshot.docs.map((d) => d.ref);
+  const playerRef = doc(playersCol(tournamentId, sectionId));
+
+  await runTransaction(db, async (tx) => {
+    const secSnap = await tx.get(secRef);
+    if (!secSnap.exists()) throw new Error("Section not found");
+    const section = secSnap.data();
+    if ((section.format || "swiss") !== "swiss") throw new Error("Late entries can only join Swiss sections");
+    const roundSnaps = await Promise.all(roundRefs.map((ref) => tx.get(ref)));
+
+    const player = newPlayerDoc({ ...playerData, eligibilityOverride });
+    player.enteredRound = roundSnaps.length + 1;
+    roundSnaps
+      .filter((snap) => snap.exists())
+      .sort((a, b) => a.data().number - b.data().number)
+      .forEach((snap) => {
+        if (!missedRounds) return;
+        const round = snap.data();
+        let scored = missedRounds;
+        let tdNote = "late entry: " + BYE_TYPES[missedRounds].label;
+        if (missedRounds === "half" && section.maxHalfPointByes != null && countedHalfByes(player) >= section.maxHalfPointByes) {
+          scored = "zero";
+          tdNote += " (over the limit of " + section.maxHalfPointByes + ", scored zero)";
+        }
+        const points = BYE_TYPES[scored].points;
+        const bye = { whiteId: playerRef.id, blackId: null, isBye: true, byeType: missedRounds, result: BYE_TYPES[scored].result, tdNote };
+        tx.update(snap.ref, { pairings: (round.pairings || []).concat(bye) });
+        player.score += points;
+        player.results.push({ round: round.number, oppId: null, result: points, isBye: true, byeType: missedRounds });
+      });
+    tx.set(playerRef, player);
+  });
+  return playerRef.id;
+}
+
+// Players whose USCF membership is expired on the event date (or today) or missing from the
+// chosen supplement. Empty when no supplement month is chosen or it is not loaded here.
+export async function sectionMembershipProblems(tournamentId, sectionId) {
+  const tSnap = await getDoc(doc(db, "tournaments", tournamentId));
+  const tournament = tSnap.exists() ? tSnap.data() : {};
+  const index = loadSupplement(tournament.supplementMonth);
+  if (!index) return [];
+  const playersSnap = await getDocs(playersCol(tournamentId, sectionId));
+  const players = playersSnap.docs.map((d) => ({ id: d.id, ...d.data() }));
+  const asOf = tournament.startDate || new Date().toISOString().slice(0, 10);
+  return membershipProblems(players, index, asOf);
+}
+
 // ------------------- lock & start rounds -------------------
-export async function lockSection(tournamentId, sectionId, plannedRounds = 4) {
+// Round robin sections get their whole schedule here and knockouts their seeded bracket;
+// plannedRounds then follows from the field size. Swiss sections without plannedRounds take
+// the tournament's roundsPerSection.
+// Rated sections are checked against the tournament's rating supplement when one is loaded in
+// this browser: expired or unknown memberships stop the lock unless { allowExpired: true }.
+export async function lockSection(tournamentId, sectionId, plannedRounds = null, { allowExpired = false } = {}) {
+  await assertSectionAction(tournamentId, sectionId, "lock");
   const secRef = doc(db, "tournaments", tournamentId, "sections", sectionId);
+  const secSnap = await getDoc(secRef);
+  if (!secSnap.exists()) throw new Error("Section not found");
+  const section = secSnap.data();
+  if (section.uscfMode && !allowExpired) {
+    const problems = await sectionMembershipProblems(tournamentId, sectionId);
+    if (problems.length) {
+      throw new Error("Check these memberships before locking: " + problems.map((x) => `${x.name} (${x.uscfId}) ${x.problem}`).join("; "));
+    }
+  }
+  if (section.format === "roundrobin") {
+    const playersSnap = await getDocs(playersCol(tournamentId, sectionId));
+    const players = playersSnap.docs.map((d) => ({ id: d.id, ...d.data() }));
+    const schedule = bergerSchedule(players, { double: !!section.doubleRoundRobin });
+    await updateDoc(secRef, { locked: true, plannedRounds: schedule.length, schedule });
+    return;
+  }
+  if (section.format === "knockout") {
+    const playersSnap = await getDocs(playersCol(tournamentId, sectionId));
+    const bracket = seedBracket(playersSnap.docs.map((d) => ({ id: d.id, ...d.data() })));
+    await updateDoc(secRef, { locked: true, plannedRounds: Math.log2(bracket.size), bracket, championId: null });
+    return;
+  }
+  if (!plannedRounds) {
+    const tSnap = await getDoc(doc(db, "tournaments", tournamentId));
+    plannedRounds = (tSnap.exists() && tSnap.data().roundsPerSection) || 4;
+  }
   await updateDoc(secRef, { locked: true, plannedRounds });
 }
 
-// Start next round: compute pairings client-side, then write a new round doc and update players in a batch.
-export async function startNextRound(tournamentId, sectionId) {
+// Back to registration before round one: the round robin schedule and the knockout bracket
+// made at lockSection are dropped and made again at the next lock.
+export async function unlockSection(tournamentId, sectionId) {
+  await assertSectionAction(tournamentId, sectionId, "unlock");
+  await updateDoc(doc(db, "tournaments", tournamentId, "sections", sectionId), { locked: false, schedule: null, bracket: null });
+}
+
+// Close the section once its last planned round is complete ({ early: true } closes it after any
+// complete round, for an event cut short); results, pairings and players are then frozen until
+// reopenSection.
+export async function finishSection(tournamentId, sectionId, { early = false } = {}) {
+  await assertSectionAction(tournamentId, sectionId, "finish", { early });
+  await updateDoc(doc(db, "tournaments", tournamentId, "sections", sectionId), { finished: true, finishedAt: serverTimestamp() });
+}
+
+export async function reopenSection(tournamentId, sectionId) {
+  await assertSectionAction(tournamentId, sectionId, "reopen");
+  await updateDoc(doc(db, "tournaments", tournamentId, "sections", sectionId), { finished: false, finishedAt: null });
+}
+
+// Split a quads pool into rated quads. Every quad becomes its own locked round-robin section
+// with a fixed three-round schedule and copies of its players. Returns the new section ids.
+export async function createQuads(tournamentId, poolSectionId) {
+  await assertSectionAction(tournamentId, poolSectionId, "createQuads");
+  const poolRef = doc(db, "tournaments", tournamentId, "sections", poolSectionId);
+  const poolSnap = await getDoc(poolRef);
+  if (!poolSnap.exists()) throw new Error("Section not found");
+  const pool = poolSnap.data();
+  if (pool.format !== "quads") throw new Error("Section is not a quads pool");
+  if ((pool.quadSectionIds || []).length) throw new Error("Quads have already been created for this pool");
+
+  const playersSnap = await getDocs(playersCol(tournamentId, poolSectionId));
+  const poolPlayers = playersSnap.docs.map((d) => ({ id: d.id, ...d.data() }));
+  // the quads take the pool's eligibility rules, so check the entries again (ratings as of the
+  // rules' date may have come in since); players let in by a TD override keep it
+  const ratingLookup = supplementRatingLookup();
+  const ineligible = poolPlayers
+    .filter((p) => !p.withdrawn && !p.eligibilityOverride)
+    .map((p) => ({ p, problems: eligibilityProblems(p, pool.eligibility, { ratingLookup }) }))
+    .filter(({ problems }) => problems.length);
+  if (ineligible.length) {
+    throw new Error("Not eligible for " + pool.name + ": " + ineligible.map(({ p, problems }) => `${p.name} (${problems.join(", ")})`).join("; "));
+  }
+  const groups = splitIntoQuads(poolPlayers);
+  if (!groups.length) throw new Error("No players in the pool");
+
+  const batch = writeBatch(db);
+  const quadSectionIds = groups.map((group, gi) => {
+    const secRef = doc(sectionsCol(tournamentId));
+    // new player docs first, so the schedule can refer to their ids
+    const entries = group.map((p) => ({ ref: doc(playersCol(tournamentId, secRef.id)), p }));
+    const schedule = bergerSchedule(
+      entries.map(({ ref, p }) => ({ ...p, id: ref.id })),
+      { maxRounds: QUAD_ROUNDS }
+    );
+    batch.set(secRef, {
+      name: `${pool.name} Quad ${gi + 1}`,
+      uscfMode: !!pool.uscfMode,
+      pairingSystem: "uscf",
+      acceleration: null,
+      format: "roundrobin",
+      doubleRoundRobin: false,
+      teamScoring: pool.teamScoring || DEFAULT_TEAM_SCORING,
+      avoidTeammatesRounds: 0,
+      avoidance: DEFAULT_AVOIDANCE,
+      initialColor: "random",
+      maxHalfPointByes: null,
+      withdrawDoubleForfeits: false,
+      tiebreaks: validateTiebreaks(null, "roundrobin"),
+      eligibility: pool.eligibility || null,
+      schedule,
+      locked: true,
+      finished: false,
+      plannedRounds: schedule.length,
+      quadOf: poolSectionId,
+      quadNumber: gi + 1,
+      createdAt: serverTimestamp(),
+    });
+    entries.forEach(({ ref, p }) => {
+      const { id, ...data } = p;
+      batch.set(ref, { ...data, createdAt: serverTimestamp() });
+    });
+    return secRef.id;
+  });
+  batch.update(poolRef, { locked: true, quadSectionIds });
+  await batch.commit();
+  return quadSectionIds;
+}
+
+// Pair the next round client-side without writing anything. Returns the round as it would be
+// stored plus what publishing needs: { section, players, round: { number, pairings, pairingStats,
+// initialColor, pairingScores }, drawnInitialColor }. pairingScores are the scores the engine
+// grouped by, which decide the float history written at publish.
+async function computeNextRound(tournamentId, sectionId, { allowRepeats = false, drawnInitialColor: drawn = null } = {}) {
+  const secSnap = await getDoc(doc(db, "tournaments", tournamentId, "sections", sectionId));
+  if (!secSnap.exists()) throw new Error("Section not found");
+  const section = secSnap.data();
+  if (section.format === "quads") throw new Error("Quad pools are not paired directly - create the quads first");
+
   // fetch all players
   const playersSnap = await getDocs(playersCol(tournamentId, sectionId));
   const players = playersSnap.docs.map((d) => ({ id: d.id, ...d.data() }));
 
-  // call pairing engine
-  const { pairings } = uscfPairingEngine(players);
-
   // determine next round number
   const roundsSnapshot = await getDocs(roundsCol(tournamentId, sectionId));
   const nextRoundNumber = (roundsSnapshot.size || 0) + 1;
+  assertCanDo(sectionState(section, roundsSnapshot.docs.map((d) => d.data())), "pairRound", { section });
 
-  // create a new round doc and update players using a batch
-  const batch = writeBatch(db);
-  const newRoundRef = doc(roundsCol(tournamentId, sectionId)); // doc with generated id
+  // acceleration only changes the score the engine groups by, never the stored score
+  const pairingPlayers = applyAcceleration(players, section.acceleration, nextRoundNumber);
+  // "random" is a coin toss made once, then kept on the section so every round sees the same result
+  let initialColor = section.initialColor || "W";
+  let drawnInitialColor = null;
+  if (initialColor === "random") {
+    initialColor = section.drawnInitialColor || drawn || (Math.random() < 0.5 ? "W" : "B");
+    if (!section.drawnInitialColor) drawnInitialColor = initialColor;
+  }
+  let paired;
+  if (section.format === "roundrobin") {
+    // round robins replay the schedule fixed at lockSection
+    const scheduled = (section.schedule || []).find((r) => r.number === nextRoundNumber);
+    if (!scheduled) throw new Error("No scheduled round " + nextRoundNumber + " - is the section locked?");
+    paired = { pairings: scheduled.pairings, floats: 0, colorViolations: 0, repeats: 0 };
+  } else if (section.format === "knockout") {
+    if (!section.bracket) throw new Error("Lock the section to seed the bracket first");
+    let pairings;
+    if (nextRoundNumber === 1) {
+      pairings = firstRoundPairings(section.bracket);
+    } else {
+      const prev = roundsSnapshot.docs.map((d) => d.data()).find((r) => r.number === nextRoundNumber - 1);
+      pairings = nextRoundPairings(prev.pairings, nextRoundNumber);
+      if (!pairings) throw new Error("The knockout is finished");
+    }
+    paired = { pairings, floats: 0, colorViolations: 0, repeats: 0 };
+  } else {
+    // call the section's pairing engine; players who asked for a bye this round sit out
+    const engine = PAIRING_ENGINES[section.pairingSystem || "uscf"];
+    if (!engine) throw new Error("Unknown pairing system: " + section.pairingSystem);
+    const { byes, pairable } = requestedByePairings(pairingPlayers, nextRoundNumber, {
+      maxHalfPointByes: section.maxHalfPointByes,
+    });
+    paired = engine(pairable, {
+      allowRepeats,
+      round: nextRoundNumber,
+      plannedRounds: section.plannedRounds || 0,
+      initialColor,
+      avoidTeammates: nextRoundNumber <= (section.avoidTeammatesRounds || 0),
+      avoidReason: avoidanceReason(section.avoidance, { round: nextRoundNumber, plannedRounds: section.plannedRounds || 0 }),
+    });
+    paired.pairings = paired.pairings.concat(byes);
+  }
+  if (section.format === "roundrobin" || section.format === "knockout") {
+    // the schedule and the bracket still hold withdrawn players: their games go as forfeits
+    const withdrawn = new Set(players.filter((p) => p.withdrawn).map((p) => p.id));
+    paired.pairings = paired.pairings.map((pp) => {
+      if (pp.isBye || (!withdrawn.has(pp.whiteId) && !withdrawn.has(pp.blackId))) return pp;
+      if (section.format === "knockout" && withdrawn.has(pp.whiteId) && withdrawn.has(pp.blackId)) {
+        // someone has to go through: left open for the TD to forfeit to the player who advances
+        return { ...pp, tdNote: (pp.tdNote ? pp.tdNote + " | " : "") + "both withdrawn - TD picks who advances" };
+      }
+      const result = withdrawn.has(pp.whiteId) ? (withdrawn.has(pp.blackId) ? "0F-0F" : "0F-1F") : "1F-0F";
+      return { ...pp, result, tdNote: (pp.tdNote ? pp.tdNote + " | " : "") + "withdrawn" };
+    });
+  }
+  const { pairings, floats, colorViolations, repeats, teammatePairings = 0, relaxedAvoidances = [] } = paired;
+  // tell the TD on the board itself when a "do not pair" rule had to give way
+  relaxedAvoidances.forEach(({ whiteId, blackId, reason }) => {
+    const pp = pairings.find((x) => x.whiteId === whiteId && x.blackId === blackId);
+    if (pp) pp.tdNote = (pp.tdNote ? pp.tdNote + " | " : "") + "avoidance relaxed: " + reason;
+  });
+  const pairingScores = {};
+  pairingPlayers.forEach((p) => {
+    pairingScores[p.id] = scoreOf(p);
+  });
+
+  return {
+    section,
+    players,
+    round: {
+      number: nextRoundNumber,
+      pairings,
+      pairingStats: { floats, colorViolations, repeats, teammatePairings, relaxedAvoidances },
+      initialColor,
+      pairingScores,
+    },
+    drawnInitialColor,
+  };
+}
+
+// Add a new round doc and its player updates to a batch.
+// For byes credit the bye's points and push a result entry; for games add opponents & colors
+// to each player's doc (scores remain until the result is entered).
+function writeRound(batch, tournamentId, sectionId, players, { number, pairings, pairingStats, initialColor, pairingScores }, newRoundRef) {
   batch.set(newRoundRef, {
-    number: nextRoundNumber,
+    number,
     pairings,
+    pairingStats,
+    initialColor,
     createdAt: serverTimestamp(),
   });
+  const scoreOfId = (id) => (pairingScores && id in pairingScores ? pairingScores[id] : null);
 
-  // apply immediate changes: for byes credit 1 point and push result entry
-  // For non-byes: add opponents & colors to each player's doc (scores remain until result entered)
   players.forEach((p) => {
     const playerRef = doc(db, "tournaments", tournamentId, "sections", sectionId, "players", p.id);
     // find if p has bye in this round
     const bye = pairings.find((pp) => pp.isBye && pp.whiteId === p.id);
     if (bye) {
-      const newScore = (p.score || 0) + 1;
+      const byePts = ptsFromStr(bye.result).w;
+      const newScore = (p.score || 0) + byePts;
       const results = Array.isArray(p.results) ? p.results.slice() : [];
-      results.push({ round: nextRoundNumber, oppId: null, result: 1, isBye: true });
-      batch.update(playerRef, { score: newScore, hadBye: true, results, updatedAt: serverTimestamp() });
+      results.push({ round: number, oppId: null, result: byePts, isBye: true, byeType: bye.byeType || null });
+      const requested = bye.byeType === "half" || bye.byeType === "zero";
+      if (requested) {
+        // a requested bye is not the pairing bye: it neither blocks a later full-point bye nor floats
+        batch.update(playerRef, { score: newScore, results, updatedAt: serverTimestamp() });
+      } else {
+        // a pairing-allocated bye counts as a downfloat for the Dutch float rules
+        const floatHistory = (p.floatHistory || []).concat({ round: number, dir: "D" });
+        batch.update(playerRef, { score: newScore, hadBye: true, results, floatHistory, updatedAt: serverTimestamp() });
+      }
     } else {
       // update opponents and colors if present in pairings
       const pOppos = (p.opponents || []).slice();
       const pColors = (p.colors || []).slice();
+      const floatHistory = (p.floatHistory || []).slice();
+      const update = {};
       pairings.forEach((pp) => {
-        if (!pp.isBye) {
+        if (!pp.isBye && isForfeit(pp.result) && (pp.whiteId === p.id || pp.blackId === p.id)) {
+          // decided at pairing time (a withdrawn player's scheduled game): scored now, not played
+          const white = pp.whiteId === p.id;
+          const pts = ptsFromStr(pp.result)[white ? "w" : "b"];
+          update.score = (p.score || 0) + pts;
+          update.results = (p.results || []).concat({ round: number, oppId: white ? pp.blackId : pp.whiteId, result: pts, isBye: false, forfeit: true });
+        } else if (!pp.isBye) {
           if (pp.whiteId === p.id && !pOppos.includes(pp.blackId)) pOppos.push(pp.blackId);
           if (pp.blackId === p.id && !pOppos.includes(pp.whiteId)) pOppos.push(pp.whiteId);
           if (pp.whiteId === p.id) pColors.push("W");
           if (pp.blackId === p.id) pColors.push("B");
+          const oppId = pp.whiteId === p.id ? pp.blackId : pp.blackId === p.id ? pp.whiteId : null;
+          // remember who was paired outside their score group
+          if (oppId && scoreOfId(oppId) !== scoreOfId(p.id)) {
+            floatHistory.push({ round: number, dir: scoreOfId(oppId) < scoreOfId(p.id) ? "D" : "U" });
+          }
         }
       });
-      batch.update(playerRef, { opponents: pOppos, colors: pColors, updatedAt: serverTimestamp() });
+      batch.update(playerRef, { ...update, opponents: pOppos, colors: pColors, floatHistory, updatedAt: serverTimestamp() });
     }
   });
+  return newRoundRef;
+}
 
-  await batch.commit();
+// Start next round: compute pairings client-side, then write a new round doc and update players in a batch.
+// Throws if the field cannot be paired without a repeat; the TD can retry with { allowRepeats: true }.
+// This skips the draft step below; knockouts use it to advance on their own.
+// Rounds are keyed by number ("round-3"), so two writers pairing the same round - a double
+// click, two results finishing a knockout round at once - can't both create it: the later
+// transaction finds the doc and gets null back. The players are read again inside the
+// transaction, so call this before the transaction's own writes.
+async function writeRoundOnce(tx, tournamentId, sectionId, playerIds, round) {
+  const newRoundRef = doc(roundsCol(tournamentId, sectionId), "round-" + round.number);
+  if ((await tx.get(newRoundRef)).exists()) return null;
+  const snaps = await Promise.all(playerIds.map((id) => tx.get(doc(playersCol(tournamentId, sectionId), id))));
+  const players = snaps.filter((snap) => snap.exists()).map((snap) => ({ id: snap.id, ...snap.data() }));
+  return writeRound(tx, tournamentId, sectionId, players, round, newRoundRef);
+}
+
+// Pair and write the next round; returns its id, or null when someone else paired it first.
+async function pairNextRound(tournamentId, sectionId, options) {
+  const { players, round, drawnInitialColor } = await computeNextRound(tournamentId, sectionId, options);
+  const secRef = doc(db, "tournaments", tournamentId, "sections", sectionId);
+  const newRoundRef = await runTransaction(db, async (tx) => {
+    const ref = await writeRoundOnce(tx, tournamentId, sectionId, players.map((p) => p.id), round);
+    if (ref && drawnInitialColor) tx.update(secRef, { drawnInitialColor });
+    return ref;
+  });
+  return newRoundRef ? newRoundRef.id : null;
+}
+
+export async function startNextRound(tournamentId, sectionId, { allowRepeats = false } = {}) {
+  const id = await pairNextRound(tournamentId, sectionId, { allowRepeats });
+  if (!id) throw new Error("The round was paired meanwhile");
+  return id;
+}
+
+// ------------------- draft rounds -------------------
+// The next round can be paired as a draft first: a single doc beside the rounds collection
+// (sections/{s}/drafts/next) that public views never read. The TD regenerates or edits it
+// (editDraftPairings with the helpers in draftRound.js); every change stores the rule checks
+// on the draft as checks: { errors, warnings }. publishDraftRound writes the round doc and the
+// player updates in one transaction and removes the draft; discardDraftRound just removes it, so
+// nothing of the draft is left behind - not even a coin toss for the initial color.
+
+function draftRef(tournamentId, sectionId) {
+  return doc(db, "tournaments", tournamentId, "sections", sectionId, "drafts", "next");
+}
+
+function draftChecks(section, players, round) {
+  return checkPairings(players, round.pairings, {
+    round: round.number,
+    format: section.format || "swiss",
+    avoidReason: avoidanceReason(section.avoidance, { round: round.number, plannedRounds: section.plannedRounds || 0 }),
+  });
+}
+
+// Pair (or pair again) the next round as a draft. Returns the draft.
+export async function generateDraftRound(tournamentId, sectionId, { allowRepeats = false } = {}) {
+  // a regenerated draft keeps the coin toss of the one it replaces
+  const existing = await getDoc(draftRef(tournamentId, sectionId));
+  const drawn = existing.exists() ? existing.data().drawnInitialColor : null;
+  const { section, players, round, drawnInitialColor } = await computeNextRound(tournamentId, sectionId, { allowRepeats, drawnInitialColor: drawn });
+  const draft = { ...round, drawnInitialColor, checks: draftChecks(section, players, round), edited: false };
+  await setDoc(draftRef(tournamentId, sectionId), { ...draft, createdAt: serverTimestamp() });
+  return draft;
+}
+
+// callback gets the draft ({ id, ...data }) or null when there is none
+export function subscribeDraftRound(tournamentId, sectionId, callback) {
+  return onSnapshot(draftRef(tournamentId, sectionId), (snap) => {
+    callback(snap.exists() ? { id: snap.id, ...snap.data() } : null);
+  });
+}
+
+// edit: pairings => new pairings, e.g. (p) => swapColors(p, 2) from draftRound.js
+export async function editDraftPairings(tournamentId, sectionId, edit) {
+  await assertSectionAction(tournamentId, sectionId, "pairRound");
+  const secSnap = await getDoc(doc(db, "tournaments", tournamentId, "sections", sectionId));
+  if (!secSnap.exists()) throw new Error("Section not found");
+  const playersSnap = await getDocs(playersCol(tournamentId, sectionId));
+  const players = playersSnap.docs.map((d) => ({ id: d.id, ...d.data() }));
+  const ref = draftRef(tournamentId, sectionId);
+  return runTransaction(db, async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists()) throw new Error("There is no draft round to edit");
+    const draft = snap.data();
+    const pairings = edit(draft.pairings);
+    const checks = draftChecks(secSnap.data(), players, { ...draft, pairings });
+    tx.update(ref, { pairings, checks, edited: true, updatedAt: serverTimestamp() });
+    return checks;
+  });
+}
+
+// Make the draft the next round. Errors from the rule checks always block; warnings block
+// unless the TD accepts them with { acceptWarnings: true }. The draft is read again inside the
+// transaction, so a second publish of the same draft fails instead of writing the round twice.
+// Returns the new round id.
+export async function publishDraftRound(tournamentId, sectionId, { acceptWarnings = false } = {}) {
+  const secRef = doc(db, "tournaments", tournamentId, "sections", sectionId);
+  const secSnap = await getDoc(secRef);
+  if (!secSnap.exists()) throw new Error("Section not found");
+  const roundsSnapshot = await getDocs(roundsCol(tournamentId, sectionId));
+  assertCanDo(sectionState(secSnap.data(), roundsSnapshot.docs.map((d) => d.data())), "pairRound", { section: secSnap.data() });
+  const playersSnap = await getDocs(playersCol(tournamentId, sectionId));
+
+  const newRoundRef = await runTransaction(db, async (tx) => {
+    const snap = await tx.get(draftRef(tournamentId, sectionId));
+    if (!snap.exists()) throw new Error("There is no draft round to publish");
+    const { checks: stored, drawnInitialColor, createdAt, updatedAt, edited, ...round } = snap.data();
+    if (roundsSnapshot.size + 1 !== round.number) {
+      throw new Error(`The draft is for round ${round.number} but round ${roundsSnapshot.size + 1} is next - regenerate it`);
+    }
+    // players may have changed since the draft was made: check against them as they are now
+    const playerSnaps = await Promise.all(playersSnap.docs.map((d) => tx.get(d.ref)));
+    const players = playerSnaps.filter((p) => p.exists()).map((p) => ({ id: p.id, ...p.data() }));
+    const { errors, warnings } = draftChecks(secSnap.data(), players, round);
+    if (errors.length) throw new Error("The draft cannot be published: " + errors.join("; "));
+    if (warnings.length && !acceptWarnings) throw new Error("The draft has warnings to accept: " + warnings.join("; "));
+
+    const ref = await writeRoundOnce(tx, tournamentId, sectionId, players.map((p) => p.id), round);
+    if (!ref) throw new Error(`Round ${round.number} has already been paired`);
+    if (drawnInitialColor) tx.update(secRef, { drawnInitialColor });
+    tx.delete(draftRef(tournamentId, sectionId));
+    return ref;
+  });
   return newRoundRef.id;
 }
 
+export async function discardDraftRound(tournamentId, sectionId) {
+  await assertSectionAction(tournamentId, sectionId, "pairRound");
+  await deleteDoc(draftRef(tournamentId, sectionId));
+}
+
+// ------------------- round rollback -------------------
+// Undo the latest round as if it had never been paired: the round doc goes and every player
+// loses what startNextRound, updateResult and publishDraftRound added for it - the results
+// entry and its points, the opponent (unless they also met in another round of a double
+// round robin), the round's color, the float, the pairing bye, and the zero-point bye a
+// double forfeit booked for the following round. A draft of the next round goes too.
+// Refuses once a result is on a board unless { force: true }; byes don't count as results.
+export async function rollbackLatestRound(tournamentId, sectionId, { force = false } = {}) {
+  await assertSectionAction(tournamentId, sectionId, "rollback");
+  const secRef = doc(db, "tournaments", tournamentId, "sections", sectionId);
+  const roundsSnapshot = await getDocs(roundsCol(tournamentId, sectionId));
+  const allRounds = roundsSnapshot.docs.map((d) => ({ id: d.id, ...d.data() }));
+  if (!allRounds.length) throw new Error("No round to roll back");
+  const latest = allRounds.reduce((a, b) => (b.number > a.number ? b : a));
+  const playersSnap = await getDocs(playersCol(tournamentId, sectionId));
+  const playerIds = playersSnap.docs.map((d) => d.id);
+  const roundRef = doc(roundsCol(tournamentId, sectionId), latest.id);
+
+  await runTransaction(db, async (tx) => {
+    const roundSnap = await tx.get(roundRef);
+    if (!roundSnap.exists()) throw new Error("Round not found");
+    const round = roundSnap.data();
+    const secSnap = await tx.get(secRef);
+    const playerSnaps = await Promise.all(playerIds.map((id) => tx.get(doc(playersCol(tournamentId, sectionId), id))));
+    const entered = (round.pairings || []).filter((pp) => !pp.isBye && pp.result).length;
+    if (entered && !force) {
+      throw new Error(`Round ${round.number} already has ${entered} result(s) entered - force the rollback to discard them`);
+    }
+
+    playerSnaps.forEach((snap) => {
+      if (!snap.exists()) return;
+      const p = snap.data();
+      const id = snap.id;
+      const pairing = (round.pairings || []).find((pp) => pp.whiteId === id || pp.blackId === id);
+      if (!pairing) return;
+      const removed = (p.results || []).filter((r) => r.round === round.number);
+      const results = (p.results || []).filter((r) => r.round !== round.number);
+      const update = {
+        score: +((p.score || 0) - removed.reduce((sum, r) => sum + (Number(r.result) || 0), 0)).toFixed(3),
+        results,
+        floatHistory: (p.floatHistory || []).filter((f) => f.round !== round.number),
+        updatedAt: serverTimestamp(),
+      };
+      if (pairing.isBye) {
+        // only the pairing bye sets hadBye; requested byes leave it alone
+        update.hadBye = results.some((r) => r.isBye && r.byeType !== "half" && r.byeType !== "zero");
+      } else {
+        const oppId = pairing.whiteId === id ? pairing.blackId : pairing.whiteId;
+        if (!isForfeit(pairing.result)) {
+          // forfeits already took their color out (see updateResult)
+          const colors = (p.colors || []).slice();
+          colors.splice(playedGamesBefore(allRounds, id, round.number), 1);
+          update.colors = colors;
+        }
+        const metElsewhere = allRounds.some(
+          (r) => r.number !== round.number && (r.pairings || []).some((x) => !x.isBye && !isForfeit(x.result) && [x.whiteId, x.blackId].includes(id) && [x.whiteId, x.blackId].includes(oppId))
+        );
+        if (!metElsewhere) update.opponents = (p.opponents || []).filter((o) => o !== oppId);
+        if (pairing.result === "0F-0F") {
+          update.requestedByes = (p.requestedByes || []).filter((r) => !(r.round === round.number + 1 && r.reason === "double forfeit"));
+        }
+      }
+      tx.update(snap.ref, update);
+    });
+
+    tx.delete(roundRef);
+    tx.delete(draftRef(tournamentId, sectionId));
+    if (secSnap.exists() && secSnap.data().championId) tx.update(secRef, { championId: null });
+  });
+  return latest.number;
+}
+
 // ------------------- update result atomic -------------------
+// Forfeits ("1F-0F", "0F-1F", "0F-0F") score like games but are not games played: the pair
+// leaves each other's opponents list and the round's color is taken out of the color history,
+// so they may still meet later and colors are allocated as if the game never happened.
+// With the section's withdrawDoubleForfeits set, a double forfeit also gives both players a
+// zero-point bye in the next round (the TD can cancel it with cancelRequestedBye); correcting the
+// result takes that bye away again.
 export async function updateResult(tournamentId, sectionId, roundId, pairingIndex, newResult) {
+  await assertSectionAction(tournamentId, sectionId, "enterResult");
+  const secRef = doc(db, "tournaments", tournamentId, "sections", sectionId);
   const roundRef = doc(db, "tournaments", tournamentId, "sections", sectionId, "rounds", roundId);
+  // earlier rounds tell where this round's color sits in each player's color history
+  const roundsSnapshot = await getDocs(roundsCol(tournamentId, sectionId));
+  const allRounds = roundsSnapshot.docs.map((d) => ({ id: d.id, ...d.data() }));
 
   await runTransaction(db, async (tx) => {
+    const secSnap = await tx.get(secRef);
+    const section = secSnap.exists() ? secSnap.data() : {};
     const roundSnap = await tx.get(roundRef);
     if (!roundSnap.exists()) throw new Error("Round not found");
     const round = roundSnap.data();
     const pairing = round.pairings[pairingIndex];
     if (!pairing) throw new Error("Pairing not found");
+    // a knockout match needs someone to go through
+    if (newResult === "0F-0F" && section.format === "knockout") {
+      throw new Error("A knockout match can't be a double forfeit - forfeit it to the player who advances");
+    }
 
     const whiteRef = doc(db, "tournaments", tournamentId, "sections", sectionId, "players", pairing.whiteId);
     const blackRef = pairing.blackId ? doc(db, "tournaments", tournamentId, "sections", sectionId, "players", pairing.blackId) : null;
@@ -180,48 +1132,55 @@ export async function updateResult(tournamentId, sectionId, roundId, pairingInde
     const pW = whiteSnap.exists() ? whiteSnap.data() : null;
     const pB = blackSnap && blackSnap.exists() ? blackSnap.data() : null;
 
-    // remove previous points if any
     const prev = pairing.result;
-    function ptsFromStr(res) {
-      if (!res) return { w: 0, b: 0 };
-      if (res === "1-0") return { w: 1, b: 0 };
-      if (res === "0-1") return { w: 0, b: 1 };
-      if (res === "0.5-0.5" || res === "½-½") return { w: 0.5, b: 0.5 };
-      return { w: 0, b: 0 };
-    }
-    if (prev) {
-      const prevPts = ptsFromStr(prev);
-      if (pW) {
-        const newScore = +( (pW.score || 0) - prevPts.w ).toFixed(3);
-        const newResults = (pW.results || []).filter((r) => !(r.round === round.number && r.oppId === pairing.blackId && r.isBye === !!pairing.isBye));
-        tx.update(whiteRef, { score: newScore, results: newResults });
-      }
-      if (pB) {
-        const newScore = +( (pB.score || 0) - prevPts.b ).toFixed(3);
-        const newResults = (pB.results || []).filter((r) => !(r.round === round.number && r.oppId === pairing.whiteId));
-        tx.update(blackRef, { score: newScore, results: newResults });
-      }
-    }
-
-    // apply new points
+    const prevPts = ptsFromStr(prev);
     const newPts = ptsFromStr(newResult);
     if (pairing.isBye) {
       // bye -> white gets pts.w
       if (!pW) throw new Error("Player missing");
-      const newScore = +( (pW.score || 0) + newPts.w ).toFixed(3);
+      const newScore = +((pW.score || 0) - prevPts.w + newPts.w).toFixed(3);
       const newResults = (pW.results || []).filter((r) => !(r.round === round.number && r.isBye));
-      newResults.push({ round: round.number, oppId: null, result: newPts.w, isBye: true });
+      newResults.push({ round: round.number, oppId: null, result: newPts.w, isBye: true, byeType: pairing.byeType || null });
       tx.update(whiteRef, { score: newScore, results: newResults });
     } else {
       if (!pW || !pB) throw new Error("Both players must exist");
-      const newScoreW = +( (pW.score || 0) + newPts.w ).toFixed(3);
-      const newScoreB = +( (pB.score || 0) + newPts.b ).toFixed(3);
-      const newResultsW = (pW.results || []).filter((r) => !(r.round === round.number && r.oppId === pairing.blackId));
-      const newResultsB = (pB.results || []).filter((r) => !(r.round === round.number && r.oppId === pairing.whiteId));
-      newResultsW.push({ round: round.number, oppId: pairing.blackId, result: newPts.w, isBye: false });
-      newResultsB.push({ round: round.number, oppId: pairing.whiteId, result: newPts.b, isBye: false });
-      tx.update(whiteRef, { score: newScoreW, results: newResultsW });
-      tx.update(blackRef, { score: newScoreB, results: newResultsB });
+      const forfeit = isForfeit(newResult);
+      const sides = [
+        { ref: whiteRef, p: pW, id: pairing.whiteId, oppId: pairing.blackId, color: "W", prev: prevPts.w, pts: newPts.w },
+        { ref: blackRef, p: pB, id: pairing.blackId, oppId: pairing.whiteId, color: "B", prev: prevPts.b, pts: newPts.b },
+      ];
+      sides.forEach(({ ref, p, id, oppId, color, prev: prevP, pts }) => {
+        const update = { score: +((p.score || 0) - prevP + pts).toFixed(3) };
+        update.results = (p.results || []).filter((r) => !(r.round === round.number && r.oppId === oppId));
+        update.results.push({ round: round.number, oppId, result: pts, isBye: false, ...(forfeit ? { forfeit: true } : {}) });
+        if (forfeit !== isForfeit(prev)) {
+          const colors = (p.colors || []).slice();
+          const at = playedGamesBefore(allRounds, id, round.number);
+          if (forfeit && colors[at] === color) colors.splice(at, 1);
+          if (!forfeit) colors.splice(at, 0, color);
+          update.colors = colors;
+          // a double round robin may pair them again; only a real game keeps them marked as opponents
+          const metElsewhere = allRounds.some(
+            (r) => r.number !== round.number && (r.pairings || []).some((x) => !x.isBye && !isForfeit(x.result) && [x.whiteId, x.blackId].includes(id) && [x.whiteId, x.blackId].includes(oppId))
+          );
+          const opponents = (p.opponents || []).filter((o) => o !== oppId);
+          if (!forfeit || metElsewhere) opponents.push(oppId);
+          update.opponents = opponents;
+        }
+        const requested = p.requestedByes || [];
+        if (newResult === "0F-0F" && section.withdrawDoubleForfeits) {
+          // a bye the player already asked for in that round stands
+          if (!requested.some((r) => r.round === round.number + 1)) {
+            update.requestedByes = requested
+              .concat({ round: round.number + 1, type: "zero", reason: "double forfeit" })
+              .sort((a, b) => a.round - b.round);
+          }
+        } else if (prev === "0F-0F") {
+          // the double forfeit was corrected: so is the bye it booked
+          update.requestedByes = requested.filter((r) => !(r.round === round.number + 1 && r.reason === "double forfeit"));
+        }
+        tx.update(ref, update);
+      });
     }
 
     // update round pairing result
@@ -229,13 +1188,57 @@ export async function updateResult(tournamentId, sectionId, roundId, pairingInde
     updatedPairings[pairingIndex] = { ...updatedPairings[pairingIndex], result: newResult };
     tx.update(roundRef, { pairings: updatedPairings });
   });
+
+  await advanceKnockout(tournamentId, sectionId);
+}
+
+// ------------------- knockout -------------------
+
+// Record a tiebreak game for a drawn knockout match. game: { type: "rapid" | "armageddon", whiteId, result }
+export async function recordPlayoff(tournamentId, sectionId, roundId, pairingIndex, { type = "rapid", whiteId, result }) {
+  await assertSectionAction(tournamentId, sectionId, "enterResult");
+  if (!["rapid", "armageddon"].includes(type)) throw new Error("Unknown playoff type: " + type);
+  const roundRef = doc(db, "tournaments", tournamentId, "sections", sectionId, "rounds", roundId);
+  await runTransaction(db, async (tx) => {
+    const roundSnap = await tx.get(roundRef);
+    if (!roundSnap.exists()) throw new Error("Round not found");
+    const round = roundSnap.data();
+    const pairing = round.pairings[pairingIndex];
+    if (!pairing) throw new Error("Pairing not found");
+    if (pairing.isBye || !pairing.result || matchWinner(pairing)) throw new Error("Only a drawn, undecided match needs a playoff");
+    if (whiteId !== pairing.whiteId && whiteId !== pairing.blackId) throw new Error("Playoff players must come from the match");
+    const blackId = whiteId === pairing.whiteId ? pairing.blackId : pairing.whiteId;
+    const updatedPairings = round.pairings.slice();
+    updatedPairings[pairingIndex] = { ...pairing, playoffs: (pairing.playoffs || []).concat({ type, whiteId, blackId, result }) };
+    tx.update(roundRef, { pairings: updatedPairings });
+  });
+  await advanceKnockout(tournamentId, sectionId);
+}
+
+// Once every match of the latest knockout round has a winner, pair the next round. After the
+// final the champion follows its result, so a corrected final (or one set back to no result)
+// changes or clears championId. Safe to call at any time; returns the new round id or null.
+export async function advanceKnockout(tournamentId, sectionId) {
+  const { section, rounds } = await assertSectionAction(tournamentId, sectionId, "enterResult");
+  if (section.format !== "knockout") return null;
+  const latest = rounds.reduce((a, r) => (!a || r.number > a.number ? r : a), null);
+  if (!latest) return null;
+  if (latest.pairings.length === 1) {
+    const championId = matchWinner(latest.pairings[0]);
+    const secRef = doc(db, "tournaments", tournamentId, "sections", sectionId);
+    if (championId !== (section.championId || null)) await updateDoc(secRef, { championId });
+    return null;
+  }
+  if (latest.pairings.some((p) => !matchWinner(p))) return null;
+  return pairNextRound(tournamentId, sectionId, {});
 }
 
 // ------------------- TD override helpers -------------------
 
-// Swap players on a particular board: swap whiteId/blackId and optionally adjust colors/opponents marginally.
-// NB: TD should verify after swapping; we do a simple swap on the round document.
+// Swap players on a particular board: swap whiteId/blackId on the round document, then repair
+// the players' colors from the rounds.
 export async function tdSwapPlayers(tournamentId, sectionId, roundId, boardIndex, note = "TD swap") {
+  await assertSectionAction(tournamentId, sectionId, "tdOverride");
   const roundRef = doc(db, "tournaments", tournamentId, "sections", sectionId, "rounds", roundId);
   await runTransaction(db, async (tx) => {
     const rSnap = await tx.get(roundRef);
@@ -243,15 +1246,25 @@ export async function tdSwapPlayers(tournamentId, sectionId, roundId, boardIndex
     const round = rSnap.data();
     const pairing = round.pairings[boardIndex];
     if (!pairing) throw new Error("Pairing not found");
-    const swapped = { ...pairing, whiteId: pairing.blackId, blackId: pairing.whiteId, tdNote: (pairing.tdNote || "") + " | " + note };
+    const swapped = {
+      ...pairing,
+      whiteId: pairing.blackId,
+      blackId: pairing.whiteId,
+      whiteReason: "TD override",
+      blackReason: "TD override",
+      tdNote: (pairing.tdNote || "") + " | " + note,
+    };
     const newPairings = round.pairings.slice();
     newPairings[boardIndex] = swapped;
     tx.update(roundRef, { pairings: newPairings });
   });
+  // the round doc changed under the players: bring their colors and opponents in step
+  await repairSection(tournamentId, sectionId);
 }
 
 // Replace a player on a board (TD override)
 export async function tdReplacePlayer(tournamentId, sectionId, roundId, boardIndex, which, newPlayerId, note = "TD replace") {
+  await assertSectionAction(tournamentId, sectionId, "tdOverride");
   const roundRef = doc(db, "tournaments", tournamentId, "sections", sectionId, "rounds", roundId);
   await runTransaction(db, async (tx) => {
     const rSnap = await tx.get(roundRef);
@@ -267,10 +1280,12 @@ export async function tdReplacePlayer(tournamentId, sectionId, roundId, boardInd
     newPairings[boardIndex] = updated;
     tx.update(roundRef, { pairings: newPairings });
   });
+  await repairSection(tournamentId, sectionId);
 }
 
 // Force color (set whiteId to particular player)
 export async function tdForceColor(tournamentId, sectionId, roundId, boardIndex, whitePlayerId, note = "TD force color") {
+  await assertSectionAction(tournamentId, sectionId, "tdOverride");
   const roundRef = doc(db, "tournaments", tournamentId, "sections", sectionId, "rounds", roundId);
   await runTransaction(db, async (tx) => {
     const rSnap = await tx.get(roundRef);
@@ -284,12 +1299,63 @@ export async function tdForceColor(tournamentId, sectionId, roundId, boardIndex,
       const prevWhite = updated.whiteId;
       updated.whiteId = whitePlayerId;
       updated.blackId = prevWhite;
+      updated.whiteReason = "TD override";
+      updated.blackReason = "TD override";
     }
     updated.tdNote = (updated.tdNote || "") + " | " + note;
     const newPairings = round.pairings.slice();
     newPairings[boardIndex] = updated;
     tx.update(roundRef, { pairings: newPairings });
   });
+  await repairSection(tournamentId, sectionId);
+}
+
+// ------------------- integrity check / repair -------------------
+// The rounds are the record; the player docs' score, opponents, colors, results and hadBye are
+// derived from them (see playerState.js). These two find and fix any drift.
+
+async function loadSection(tournamentId, sectionId) {
+  const playersSnap = await getDocs(playersCol(tournamentId, sectionId));
+  const roundsSnap = await getDocs(roundsCol(tournamentId, sectionId));
+  return {
+    players: playersSnap.docs.map((d) => ({ id: d.id, ...d.data() })),
+    rounds: roundsSnap.docs.map((d) => ({ id: d.id, ...d.data() })),
+  };
+}
+
+// Returns [{ playerId, name, field, stored, derived }], empty when every player doc is in step.
+export async function checkSectionIntegrity(tournamentId, sectionId) {
+  const { players, rounds } = await loadSection(tournamentId, sectionId);
+  return diffPlayerState(players, rounds);
+}
+
+// Rewrite the drifted fields in one transaction; the player docs and the rounds are read again
+// inside it, so a result entered meanwhile makes the transaction retry instead of being undone.
+// Rounds are read by id ("round-1", "round-2", ... up to the first missing one), and that missing
+// one is read too, so a round paired during the repair also forces a retry. Returns the
+// differences that were fixed.
+export async function repairSection(tournamentId, sectionId) {
+  await assertSectionAction(tournamentId, sectionId, "repair");
+  const playersSnap = await getDocs(playersCol(tournamentId, sectionId));
+  return runTransaction(db, async (tx) => {
+    const snaps = await Promise.all(playersSnap.docs.map((d) => tx.get(d.ref)));
+    const current = snaps.filter((snap) => snap.exists()).map((snap) => ({ id: snap.id, ...snap.data() }));
+    const rounds = [];
+    for (let number = 1; ; number++) {
+      const snap = await tx.get(doc(roundsCol(tournamentId, sectionId), "round-" + number));
+      if (!snap.exists()) break;
+      rounds.push({ id: snap.id, ...snap.data() });
+    }
+    const diffs = diffPlayerState(current, rounds);
+    const updates = {};
+    diffs.forEach(({ playerId, field, derived }) => {
+      updates[playerId] = { ...(updates[playerId] || {}), [field]: derived };
+    });
+    Object.entries(updates).forEach(([playerId, update]) => {
+      tx.update(doc(playersCol(tournamentId, sectionId), playerId), { ...update, updatedAt: serverTimestamp() });
+    });
+    return diffs;
+  });
 }
 
 // ------------------- export/import helpers -------------------
@@ -311,22 +1377,61 @@ export async function importSection(tournamentId, sectionPayload) {
   const sectRef = await addDoc(sectionsCol(tournamentId), {
     name: sectionPayload.name || "Imported",
     uscfMode: !!sectionPayload.uscfMode,
+    pairingSystem: sectionPayload.pairingSystem || "uscf",
+    acceleration: sectionPayload.acceleration || null,
+    format: sectionPayload.format || "swiss",
+    doubleRoundRobin: !!sectionPayload.doubleRoundRobin,
+    schedule: sectionPayload.schedule || null,
+    bracket: sectionPayload.bracket || null,
+    teamScoring: sectionPayload.teamScoring || DEFAULT_TEAM_SCORING,
+    avoidTeammatesRounds: sectionPayload.avoidTeammatesRounds || 0,
+    avoidance: sectionPayload.avoidance || DEFAULT_AVOIDANCE,
+    initialColor: sectionPayload.initialColor || "random",
+    drawnInitialColor: sectionPayload.drawnInitialColor || null,
+    maxHalfPointByes: sectionPayload.maxHalfPointByes ?? null,
+    withdrawDoubleForfeits: !!sectionPayload.withdrawDoubleForfeits,
+    tiebreaks: validateTiebreaks(sectionPayload.tiebreaks, sectionPayload.format || "swiss"),
+    eligibility: validateEligibility(sectionPayload.eligibility),
+    championId: sectionPayload.championId || null,
     locked: !!sectionPayload.locked,
+    finished: !!sectionPayload.finished,
     plannedRounds: sectionPayload.plannedRounds || 0,
     createdAt: serverTimestamp(),
   });
   const sectionId = sectRef.id;
   const batch = writeBatch(db);
-  // create player docs
-  (sectionPayload.players || []).forEach((p) => {
-    const pRef = doc(playersCol(tournamentId, sectionId));
+  // create player docs, keeping their ids so the rounds' pairings still point at them
+  (sectionPayload.players || []).forEach(({ id, ...p }) => {
+    const pRef = id ? doc(playersCol(tournamentId, sectionId), id) : doc(playersCol(tournamentId, sectionId));
     batch.set(pRef, { ...p, createdAt: serverTimestamp() });
   });
-  // create rounds
-  (sectionPayload.rounds || []).forEach((r) => {
-    const rRef = doc(roundsCol(tournamentId, sectionId));
+  // create rounds under the same "round-N" ids pairing uses
+  (sectionPayload.rounds || []).forEach(({ id, ...r }) => {
+    const rRef = doc(roundsCol(tournamentId, sectionId), "round-" + r.number);
     batch.set(rRef, { ...r, createdAt: serverTimestamp() });
   });
   await batch.commit();
   return sectionId;
 }
+
+// FIDE TRF16 text for a section (see trf.js); the tournament doc supplies the event header.
+export async function exportSectionTrf(tournamentId, sectionId) {
+  const section = await exportSection(tournamentId, sectionId);
+  const tSnap = await getDoc(doc(db, "tournaments", tournamentId));
+  return exportTrf(section, tSnap.exists() ? tSnap.data() : {});
+}
+
+// Rebuild a section from a TRF16 file: players, rounds, results, opponents and colors.
+export async function importSectionTrf(tournamentId, text) {
+  return importSection(tournamentId, parseTrf(text));
+}
+
+// US Chess rating report for every rated section of the tournament (see uscfReport.js).
+// Returns { problems, files }: files is null while anything in problems still needs fixing.
+export async function exportRatingReport(tournamentId) {
+  const tSnap = await getDoc(doc(db, "tournaments", tournamentId));
+  if (!tSnap.exists()) throw new Error("Tournament not found");
+  const sectionsSnap = await getDocs(sectionsCol(tournamentId));
+  const sections = await Promise.all(sectionsSnap.docs.map((d) => exportSection(tournamentId, d.id)));
+  return buildRatingReport(tSnap.data(), sections);
+}
@@ -0,0 +1,78 @@
+// src/services/knockout.js
+// Exported functions:
+// - bracketOrder(size) -> seed numbers in bracket position order (size a power of two)
+// - seedBracket(players) -> { size, seeds: [playerIds by seed] }
+// - firstRoundPairings(bracket) -> pairings for round one, byes to the top seeds
+// - matchWinner(pairing) -> winning player id, or null while the match is undecided
+// - nextRoundPairings(pairings, roundNumber) -> pairings for the next round, or null after the final
+//
+// Pairings keep bracket order (each carries its slot), so the winners of slots 2k and 2k+1
+// meet in slot k of the next round. A drawn game is settled by pairing.playoffs, a list of
+// { type: "rapid" | "armageddon", whiteId, blackId, result }: the first decisive playoff game
+// wins the match, and a drawn Armageddon game goes to Black.
+
+import { seedCompare } from "./pairingEngine";
+
+export function bracketOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const next = order.length * 2 + 1;
+    order = order.flatMap((s) => [s, next - s]);
+  }
+  return order;
+}
+
+export function seedBracket(playersRaw = []) {
+  const players = playersRaw.filter((p) => !p.withdrawn).slice().sort(seedCompare);
+  if (players.length < 2) throw new Error("A knockout needs at least two players");
+  let size = 1;
+  while (size < players.length) size *= 2;
+  return { size, seeds: players.map((p) => p.id) };
+}
+
+export function firstRoundPairings({ size, seeds }) {
+  const order = bracketOrder(size);
+  const pairings = [];
+  for (let slot = 0; slot < size / 2; slot++) {
+    // the better seed sits first in every bracket pair
+    const top = seeds[order[2 * slot] - 1];
+    const bottom = seeds[order[2 * slot + 1] - 1];
+    if (!bottom) pairings.push({ whiteId: top, blackId: null, isBye: true, result: "1-0", tdNote: "bracket bye", slot });
+    else pairings.push({ whiteId: top, blackId: bottom, isBye: false, result: null, tdNote: null, slot });
+  }
+  return pairings;
+}
+
+function gameWinner(whiteId, blackId, result) {
+  if (result === "1-0" || result === "1F-0F") return whiteId;
+  if (result === "0-1" || result === "0F-1F") return blackId;
+  return null;
+}
+
+export function matchWinner(pairing) {
+  if (!pairing) return null;
+  if (pairing.isBye) return pairing.whiteId;
+  const decided = gameWinner(pairing.whiteId, pairing.blackId, pairing.result);
+  if (decided || !pairing.result) return decided;
+  for (const game of pairing.playoffs || []) {
+    const winner = gameWinner(game.whiteId, game.blackId, game.result);
+    if (winner) return winner;
+    if (game.type === "armageddon" && game.result) return game.blackId;
+  }
+  return null;
+}
+
+export function nextRoundPairings(pairings, roundNumber) {
+  const ordered = pairings.slice().sort((a, b) => a.slot - b.slot);
+  if (ordered.length < 2) return null;
+  const winners = ordered.map(matchWinner);
+  if (winners.some((id) => !id)) throw new Error("Every match of the round needs a winner first");
+  const next = [];
+  for (let slot = 0; slot < winners.length / 2; slot++) {
+    // alternate who opens with White from round to round
+    const [a, b] = [winners[2 * slot], winners[2 * slot + 1]];
+    const [whiteId, blackId] = roundNumber % 2 === 1 ? [a, b] : [b, a];
+    next.push({ whiteId, blackId, isBye: false, result: null, tdNote: null, slot });
+  }
+  return next;
+}
@@ -0,0 +1,19 @@
+import { bracketOrder, seedBracket, firstRoundPairings, matchWinner, nextRoundPairings } from "./knockout";
+
+test("standard bracket order keeps the top seeds apart", () => {
+  expect(bracketOrder(8)).toEqual([1, 8, 4, 5, 2, 7, 3, 6]);
+});
+
+test("top seeds get the byes and drawn matches are settled by playoffs", () => {
+  const players = ["a", "b", "c", "d", "e", "f"].map((id, i) => ({ id, name: id, rating: 2000 - i * 100 }));
+  const round1 = firstRoundPairings(seedBracket(players));
+  expect(round1.filter((p) => p.isBye).map((p) => p.whiteId)).toEqual(["a", "b"]);
+
+  const played = round1.map((p) => (p.isBye ? p : { ...p, result: "½-½" }));
+  expect(() => nextRoundPairings(played, 2)).toThrow(/needs a winner/);
+  const settled = played.map((p) =>
+    p.isBye ? p : { ...p, playoffs: [{ type: "armageddon", whiteId: p.whiteId, blackId: p.blackId, result: "½-½" }] }
+  );
+  expect(settled.map(matchWinner)).toEqual(["a", "e", "b", "f"]);
+  expect(nextRoundPairings(settled, 2).map((p) => [p.whiteId, p.blackId])).toEqual([["e", "a"], ["f", "b"]]);
+});
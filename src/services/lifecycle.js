@@ -0,0 +1,114 @@
+// src/services/lifecycle.js
+// Exported functions:
+// - SECTION_STATES: "registration", "locked", "inProgress", "complete", "finished"
+// - sectionState(section, rounds) -> { state, round } (round = latest round number, 0 before round one)
+// - stateLabel(status) -> "Registration", "Round 3 in progress", ...
+// - canDo(status, action, { section, early }) -> null when allowed, otherwise the reason it isn't
+// - assertCanDo(status, action, { section, early }) -> throws that reason
+//
+// A section moves through
+//   registration -> locked -> round N in progress -> round N complete -> ... -> finished
+// The state is read off the section doc and its rounds rather than stored, so it can't drift:
+// not locked is registration; locked with no rounds is locked; a latest round with a board still
+// missing its result is in progress, otherwise complete; finished: true on the section doc
+// (set by finishSection) is finished and freezes everything, results included, until the TD
+// reopens the section. Unlocking is only possible before round one is paired, and so is moving
+// players between sections (not even then once a round robin or knockout has drawn its schedule,
+// or a quads pool has been split into quads).
+// A section is finished after its last planned round unless the TD finishes it early on purpose.
+// In a knockout a drawn match without a deciding playoff game keeps the round in progress.
+// Every service function that changes a section names its action below and checks it first.
+
+import { matchWinner } from "./knockout";
+
+export const SECTION_STATES = ["registration", "locked", "inProgress", "complete", "finished"];
+
+// action -> states it is allowed in
+const ALLOWED = {
+  addPlayer: ["registration"],
+  movePlayer: ["registration", "locked"],
+  lock: ["registration"],
+  unlock: ["locked"],
+  createQuads: ["registration"],
+  requestBye: ["registration", "locked", "inProgress", "complete"],
+  withdraw: ["locked", "inProgress", "complete"],
+  lateEntry: ["locked", "inProgress", "complete"],
+  pairRound: ["locked", "complete"],
+  enterResult: ["inProgress", "complete"],
+  tdOverride: ["inProgress", "complete"],
+  rollback: ["inProgress", "complete"],
+  repair: ["locked", "inProgress", "complete"],
+  finish: ["complete"],
+  reopen: ["finished"],
+  configure: ["registration", "locked", "inProgress", "complete"],
+};
+
+const ACTION_LABELS = {
+  addPlayer: "add players",
+  movePlayer: "move players between sections",
+  lock: "lock the section",
+  unlock: "unlock the section",
+  createQuads: "create quads",
+  requestBye: "request byes",
+  withdraw: "withdraw or reinstate players",
+  lateEntry: "add late entries",
+  pairRound: "pair a round",
+  enterResult: "enter results",
+  tdOverride: "change pairings",
+  rollback: "roll back a round",
+  repair: "repair player records",
+  finish: "finish the section",
+  reopen: "reopen the section",
+  configure: "change section settings",
+};
+
+export function sectionState(section = {}, rounds = []) {
+  const latest = rounds.reduce((a, r) => (!a || r.number > a.number ? r : a), null);
+  const round = latest ? latest.number : 0;
+  if (section.finished) return { state: "finished", round };
+  if (!section.locked) return { state: "registration", round };
+  if (!latest) return { state: "locked", round };
+  const undecided = section.format === "knockout" ? (pp) => !matchWinner(pp) : (pp) => !pp.isBye && !pp.result;
+  const pending = (latest.pairings || []).some(undecided);
+  return { state: pending ? "inProgress" : "complete", round };
+}
+
+export function stateLabel({ state, round } = {}) {
+  switch (state) {
+    case "registration": return "Registration";
+    case "locked": return "Locked - round 1 not paired yet";
+    case "inProgress": return `Round ${round} in progress`;
+    case "complete": return `Round ${round} complete`;
+    case "finished": return "Finished";
+    default: return "";
+  }
+}
+
+export function canDo(status, action, { section = {}, early = false } = {}) {
+  const allowed = ALLOWED[action];
+  if (!allowed) return "Unknown action: " + action;
+  if (!allowed.includes(status.state)) {
+    return `Can't ${ACTION_LABELS[action]} - the section is at "${stateLabel(status)}"`;
+  }
+  if (action === "movePlayer" && status.state === "locked" && (section.schedule || section.bracket)) {
+    return "The section's schedule is drawn - unlock it before moving players";
+  }
+  if (action === "movePlayer" && (section.quadSectionIds || []).length) {
+    return "The pool has already been split into quads";
+  }
+  if (action === "lock" && section.format === "quads") {
+    return "A quads pool is not locked - create the quads instead";
+  }
+  if (action === "pairRound" && section.plannedRounds && status.round >= section.plannedRounds) {
+    return `All ${section.plannedRounds} planned rounds have been paired`;
+  }
+  if (action === "finish" && !early && section.plannedRounds && status.round < section.plannedRounds) {
+    return `Only ${status.round} of ${section.plannedRounds} planned rounds have been played`;
+  }
+  return null;
+}
+
+export function assertCanDo(status, action, options) {
+  const reason = canDo(status, action, options);
+  if (reason) throw new Error(reason);
+}
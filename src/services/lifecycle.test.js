@@ -0,0 +1,42 @@
+import { sectionState, stateLabel, canDo } from "./lifecycle";
+
+const game = (result = null) => ({ whiteId: "a", blackId: "b", isBye: false, result });
+const bye = { whiteId: "c", blackId: null, isBye: true, result: "1-0" };
+
+test("the state follows the lock, the latest round and the finished flag", () => {
+  expect(sectionState({ locked: false }, [])).toEqual({ state: "registration", round: 0 });
+  expect(sectionState({ locked: true }, [])).toEqual({ state: "locked", round: 0 });
+  const rounds = [{ number: 1, pairings: [game("1-0"), bye] }, { number: 2, pairings: [game(), bye] }];
+  expect(sectionState({ locked: true }, rounds)).toEqual({ state: "inProgress", round: 2 });
+  expect(stateLabel(sectionState({ locked: true }, rounds))).toBe("Round 2 in progress");
+  expect(sectionState({ locked: true }, rounds.slice(0, 1))).toEqual({ state: "complete", round: 1 });
+  expect(sectionState({ locked: true, finished: true }, rounds)).toEqual({ state: "finished", round: 2 });
+});
+
+test("a drawn knockout match keeps the round in progress until a playoff decides it", () => {
+  const drawn = { ...game("½-½"), slot: 0 };
+  const knockout = { locked: true, format: "knockout" };
+  expect(sectionState(knockout, [{ number: 1, pairings: [drawn] }]).state).toBe("inProgress");
+  const decided = { ...drawn, playoffs: [{ type: "rapid", whiteId: "b", blackId: "a", result: "1-0" }] };
+  expect(sectionState(knockout, [{ number: 1, pairings: [decided] }]).state).toBe("complete");
+  expect(sectionState({ locked: true }, [{ number: 1, pairings: [drawn] }]).state).toBe("complete");
+});
+
+test("actions are only allowed from their states", () => {
+  const section = { locked: true, plannedRounds: 2 };
+  expect(canDo({ state: "registration", round: 0 }, "addPlayer")).toBeNull();
+  expect(canDo({ state: "locked", round: 0 }, "addPlayer")).toMatch(/Can't add players/);
+  expect(canDo({ state: "inProgress", round: 1 }, "pairRound", { section })).toMatch(/Round 1 in progress/);
+  expect(canDo({ state: "complete", round: 1 }, "pairRound", { section })).toBeNull();
+  expect(canDo({ state: "complete", round: 2 }, "pairRound", { section })).toBe("All 2 planned rounds have been paired");
+  expect(canDo({ state: "complete", round: 2 }, "finish", { section })).toBeNull();
+  expect(canDo({ state: "complete", round: 1 }, "finish", { section })).toBe("Only 1 of 2 planned rounds have been played");
+  expect(canDo({ state: "complete", round: 1 }, "finish", { section, early: true })).toBeNull();
+  expect(canDo({ state: "finished", round: 2 }, "enterResult")).toMatch(/Finished/);
+  expect(canDo({ state: "finished", round: 2 }, "reopen")).toBeNull();
+  expect(canDo({ state: "locked", round: 0 }, "movePlayer", { section })).toBeNull();
+  expect(canDo({ state: "locked", round: 0 }, "movePlayer", { section: { ...section, schedule: [] } })).toMatch(/unlock it/);
+  expect(canDo({ state: "locked", round: 0 }, "movePlayer", { section: { locked: true, quadSectionIds: ["q1"] } })).toMatch(/split into quads/);
+  expect(canDo({ state: "registration", round: 0 }, "lock", { section: { format: "quads" } })).toMatch(/create the quads/);
+  expect(canDo({ state: "complete", round: 1 }, "movePlayer", { section })).toMatch(/Can't move players/);
+});
@@ -0,0 +1,417 @@
+// src/services/matching.js
+// Exported functions:
+// - maxWeightMatching(edges, maxCardinality) -> mate array (mate[v] = partner vertex or -1)
+//
+// Edmonds' blossom algorithm for maximum weight matching in a general graph, O(n^3).
+// Port of Joris van Rantwijk's mwmatching.py. edges is a list of [i, j, weight] with
+// integer vertex ids starting at 0. With maxCardinality the result is the heaviest among
+// the matchings of maximum size, which is what the pairing engines rely on.
+
+export function maxWeightMatching(edges, maxCardinality = false) {
+  if (!edges.length) return [];
+
+  const nedge = edges.length;
+  let nvertex = 0;
+  let maxweight = 0;
+  edges.forEach(([i, j, wt]) => {
+    nvertex = Math.max(nvertex, i + 1, j + 1);
+    maxweight = Math.max(maxweight, wt);
+  });
+
+  // endpoint[p] is the vertex at end p of edge p >> 1
+  const endpoint = [];
+  for (let p = 0; p < 2 * nedge; p++) endpoint.push(edges[p >> 1][p % 2]);
+  const neighbend = Array.from({ length: nvertex }, () => []);
+  edges.forEach(([i, j], k) => {
+    neighbend[i].push(2 * k + 1);
+    neighbend[j].push(2 * k);
+  });
+
+  const mate = new Array(nvertex).fill(-1);
+  // label: 0 = free, 1 = S, 2 = T (bit 4 is a temporary mark used by scanBlossom)
+  const label = new Array(2 * nvertex).fill(0);
+  const labelend = new Array(2 * nvertex).fill(-1);
+  const inblossom = Array.from({ length: nvertex }, (_, v) => v);
+  const blossomparent = new Array(2 * nvertex).fill(-1);
+  const blossomchilds = new Array(2 * nvertex).fill(null);
+  const blossombase = Array.from({ length: 2 * nvertex }, (_, v) => (v < nvertex ? v : -1));
+  const blossomendps = new Array(2 * nvertex).fill(null);
+  const bestedge = new Array(2 * nvertex).fill(-1);
+  const blossombestedges = new Array(2 * nvertex).fill(null);
+  const unusedblossoms = Array.from({ length: nvertex }, (_, v) => v + nvertex);
+  const dualvar = Array.from({ length: 2 * nvertex }, (_, v) => (v < nvertex ? maxweight : 0));
+  const allowedge = new Array(nedge).fill(false);
+  const queue = [];
+
+  // python-style indexing for the rotating child lists
+  const at = (arr, j) => arr[((j % arr.length) + arr.length) % arr.length];
+
+  function slack(k) {
+    const [i, j, wt] = edges[k];
+    return dualvar[i] + dualvar[j] - 2 * wt;
+  }
+
+  function blossomLeaves(b, out = []) {
+    if (b < nvertex) out.push(b);
+    else blossomchilds[b].forEach((t) => blossomLeaves(t, out));
+    return out;
+  }
+
+  function assignLabel(w, t, p) {
+    const b = inblossom[w];
+    label[w] = label[b] = t;
+    labelend[w] = labelend[b] = p;
+    bestedge[w] = bestedge[b] = -1;
+    if (t === 1) {
+      queue.push(...blossomLeaves(b));
+    } else if (t === 2) {
+      const base = blossombase[b];
+      assignLabel(endpoint[mate[base]], 1, mate[base] ^ 1);
+    }
+  }
+
+  // Trace back from v and w to find a new blossom (returns its base) or an augmenting path (-1).
+  function scanBlossom(v, w) {
+    const path = [];
+    let base = -1;
+    while (v !== -1 || w !== -1) {
+      let b = inblossom[v];
+      if (label[b] & 4) {
+        base = blossombase[b];
+        break;
+      }
+      path.push(b);
+      label[b] = 5;
+      if (labelend[b] === -1) {
+        v = -1;
+      } else {
+        v = endpoint[labelend[b]];
+        b = inblossom[v];
+        v = endpoint[labelend[b]];
+      }
+      if (w !== -1) {
+        const tmp = v;
+        v = w;
+        w = tmp;
+      }
+    }
+    path.forEach((b) => {
+      label[b] = 1;
+    });
+    return base;
+  }
+
+  function addBlossom(base, k) {
+    let [v, w] = edges[k];
+    const bb = inblossom[base];
+    let bv = inblossom[v];
+    let bw = inblossom[w];
+    const b = unusedblossoms.pop();
+    blossombase[b] = base;
+    blossomparent[b] = -1;
+    blossomparent[bb] = b;
+    const path = [];
+    const endps = [];
+    while (bv !== bb) {
+      blossomparent[bv] = b;
+      path.push(bv);
+      endps.push(labelend[bv]);
+      v = endpoint[labelend[bv]];
+      bv = inblossom[v];
+    }
+    path.push(bb);
+    path.reverse();
+    endps.reverse();
+    endps.push(2 * k);
+    while (bw !== bb) {
+      blossomparent[bw] = b;
+      path.push(bw);
+      endps.push(labelend[bw] ^ 1);
+      w = endpoint[labelend[bw]];
+      bw = inblossom[w];
+    }
+    blossomchilds[b] = path;
+    blossomendps[b] = endps;
+    label[b] = 1;
+    labelend[b] = labelend[bb];
+    dualvar[b] = 0;
+    blossomLeaves(b).forEach((leaf) => {
+      if (label[inblossom[leaf]] === 2) queue.push(leaf);
+      inblossom[leaf] = b;
+    });
+
+    const bestedgeto = new Array(2 * nvertex).fill(-1);
+    path.forEach((child) => {
+      const nblists = blossombestedges[child]
+        ? [blossombestedges[child]]
+        : blossomLeaves(child).map((leaf) => neighbend[leaf].map((p) => p >> 1));
+      nblists.forEach((nblist) => {
+        nblist.forEach((ek) => {
+          let [i, j] = edges[ek];
+          if (inblossom[j] === b) {
+            const tmp = i;
+            i = j;
+            j = tmp;
+          }
+          const bj = inblossom[j];
+          if (bj !== b && label[bj] === 1 && (bestedgeto[bj] === -1 || slack(ek) < slack(bestedgeto[bj]))) {
+            bestedgeto[bj] = ek;
+          }
+        });
+      });
+      blossombestedges[child] = null;
+      bestedge[child] = -1;
+    });
+    blossombestedges[b] = bestedgeto.filter((ek) => ek !== -1);
+    bestedge[b] = -1;
+    blossombestedges[b].forEach((ek) => {
+      if (bestedge[b] === -1 || slack(ek) < slack(bestedge[b])) bestedge[b] = ek;
+    });
+  }
+
+  function expandBlossom(b, endstage) {
+    blossomchilds[b].forEach((s) => {
+      blossomparent[s] = -1;
+      if (s < nvertex) inblossom[s] = s;
+      else if (endstage && dualvar[s] === 0) expandBlossom(s, endstage);
+      else blossomLeaves(s).forEach((leaf) => { inblossom[leaf] = s; });
+    });
+
+    if (!endstage && label[b] === 2) {
+      const childs = blossomchilds[b];
+      const endps = blossomendps[b];
+      const entrychild = inblossom[endpoint[labelend[b] ^ 1]];
+      let j = childs.indexOf(entrychild);
+      let jstep;
+      let endptrick;
+      if (j & 1) {
+        j -= childs.length;
+        jstep = 1;
+        endptrick = 0;
+      } else {
+        jstep = -1;
+        endptrick = 1;
+      }
+      let p = labelend[b];
+      while (j !== 0) {
+        label[endpoint[p ^ 1]] = 0;
+        label[endpoint[at(endps, j - endptrick) ^ endptrick ^ 1]] = 0;
+        assignLabel(endpoint[p ^ 1], 2, p);
+        allowedge[at(endps, j - endptrick) >> 1] = true;
+        j += jstep;
+        p = at(endps, j - endptrick) ^ endptrick;
+        allowedge[p >> 1] = true;
+        j += jstep;
+      }
+      let bv = at(childs, j);
+      label[endpoint[p ^ 1]] = label[bv] = 2;
+      labelend[endpoint[p ^ 1]] = labelend[bv] = p;
+      bestedge[bv] = -1;
+      j += jstep;
+      while (at(childs, j) !== entrychild) {
+        bv = at(childs, j);
+        if (label[bv] === 1) {
+          j += jstep;
+          continue;
+        }
+        const labelled = blossomLeaves(bv).find((leaf) => label[leaf] !== 0);
+        if (labelled !== undefined) {
+          label[labelled] = 0;
+          label[endpoint[mate[blossombase[bv]]]] = 0;
+          assignLabel(labelled, 2, labelend[labelled]);
+        }
+        j += jstep;
+      }
+    }
+
+    label[b] = labelend[b] = -1;
+    blossomchilds[b] = blossomendps[b] = null;
+    blossombase[b] = -1;
+    blossombestedges[b] = null;
+    bestedge[b] = -1;
+    unusedblossoms.push(b);
+  }
+
+  // Swap matched/unmatched edges along the even path from v to the base of blossom b.
+  function augmentBlossom(b, v) {
+    let t = v;
+    while (blossomparent[t] !== b) t = blossomparent[t];
+    if (t >= nvertex) augmentBlossom(t, v);
+    const childs = blossomchilds[b];
+    const endps = blossomendps[b];
+    const i = childs.indexOf(t);
+    let j = i;
+    let jstep;
+    let endptrick;
+    if (i & 1) {
+      j -= childs.length;
+      jstep = 1;
+      endptrick = 0;
+    } else {
+      jstep = -1;
+      endptrick = 1;
+    }
+    while (j !== 0) {
+      j += jstep;
+      t = at(childs, j);
+      const p = at(endps, j - endptrick) ^ endptrick;
+      if (t >= nvertex) augmentBlossom(t, endpoint[p]);
+      j += jstep;
+      t = at(childs, j);
+      if (t >= nvertex) augmentBlossom(t, endpoint[p ^ 1]);
+      mate[endpoint[p]] = p ^ 1;
+      mate[endpoint[p ^ 1]] = p;
+    }
+    blossomchilds[b] = childs.slice(i).concat(childs.slice(0, i));
+    blossomendps[b] = endps.slice(i).concat(endps.slice(0, i));
+    blossombase[b] = blossombase[blossomchilds[b][0]];
+  }
+
+  function augmentMatching(k) {
+    const [v, w] = edges[k];
+    [[v, 2 * k + 1], [w, 2 * k]].forEach(([start, startP]) => {
+      let s = start;
+      let p = startP;
+      for (;;) {
+        const bs = inblossom[s];
+        if (bs >= nvertex) augmentBlossom(bs, s);
+        mate[s] = p;
+        if (labelend[bs] === -1) break;
+        const t = endpoint[labelend[bs]];
+        const bt = inblossom[t];
+        s = endpoint[labelend[bt]];
+        const j = endpoint[labelend[bt] ^ 1];
+        if (bt >= nvertex) augmentBlossom(bt, j);
+        mate[j] = labelend[bt];
+        p = labelend[bt] ^ 1;
+      }
+    });
+  }
+
+  for (let stage = 0; stage < nvertex; stage++) {
+    label.fill(0);
+    bestedge.fill(-1);
+    blossombestedges.fill(null, nvertex);
+    allowedge.fill(false);
+    queue.length = 0;
+
+    for (let v = 0; v < nvertex; v++) {
+      if (mate[v] === -1 && label[inblossom[v]] === 0) assignLabel(v, 1, -1);
+    }
+
+    let augmented = false;
+    for (;;) {
+      while (queue.length && !augmented) {
+        const v = queue.pop();
+        for (const p of neighbend[v]) {
+          const k = p >> 1;
+          const w = endpoint[p];
+          if (inblossom[v] === inblossom[w]) continue;
+          let kslack = 0;
+          if (!allowedge[k]) {
+            kslack = slack(k);
+            if (kslack <= 0) allowedge[k] = true;
+          }
+          if (allowedge[k]) {
+            if (label[inblossom[w]] === 0) {
+              assignLabel(w, 2, p ^ 1);
+            } else if (label[inblossom[w]] === 1) {
+              const base = scanBlossom(v, w);
+              if (base >= 0) {
+                addBlossom(base, k);
+              } else {
+                augmentMatching(k);
+                augmented = true;
+                break;
+              }
+            } else if (label[w] === 0) {
+              label[w] = 2;
+              labelend[w] = p ^ 1;
+            }
+          } else if (label[inblossom[w]] === 1) {
+            const b = inblossom[v];
+            if (bestedge[b] === -1 || kslack < slack(bestedge[b])) bestedge[b] = k;
+          } else if (label[w] === 0) {
+            if (bestedge[w] === -1 || kslack < slack(bestedge[w])) bestedge[w] = k;
+          }
+        }
+      }
+      if (augmented) break;
+
+      // No augmenting path yet: compute the dual adjustment delta.
+      let deltatype = -1;
+      let delta = 0;
+      let deltaedge = -1;
+      let deltablossom = -1;
+      if (!maxCardinality) {
+        deltatype = 1;
+        delta = Math.min(...dualvar.slice(0, nvertex));
+      }
+      for (let v = 0; v < nvertex; v++) {
+        if (label[inblossom[v]] === 0 && bestedge[v] !== -1) {
+          const d = slack(bestedge[v]);
+          if (deltatype === -1 || d < delta) {
+            delta = d;
+            deltatype = 2;
+            deltaedge = bestedge[v];
+          }
+        }
+      }
+      for (let b = 0; b < 2 * nvertex; b++) {
+        if (blossomparent[b] === -1 && label[b] === 1 && bestedge[b] !== -1) {
+          const d = slack(bestedge[b]) / 2;
+          if (deltatype === -1 || d < delta) {
+            delta = d;
+            deltatype = 3;
+            deltaedge = bestedge[b];
+          }
+        }
+      }
+      for (let b = nvertex; b < 2 * nvertex; b++) {
+        if (blossombase[b] >= 0 && blossomparent[b] === -1 && label[b] === 2 && (deltatype === -1 || dualvar[b] < delta)) {
+          delta = dualvar[b];
+          deltatype = 4;
+          deltablossom = b;
+        }
+      }
+      if (deltatype === -1) {
+        deltatype = 1;
+        delta = Math.max(0, Math.min(...dualvar.slice(0, nvertex)));
+      }
+
+      for (let v = 0; v < nvertex; v++) {
+        if (label[inblossom[v]] === 1) dualvar[v] -= delta;
+        else if (label[inblossom[v]] === 2) dualvar[v] += delta;
+      }
+      for (let b = nvertex; b < 2 * nvertex; b++) {
+        if (blossombase[b] >= 0 && blossomparent[b] === -1) {
+          if (label[b] === 1) dualvar[b] += delta;
+          else if (label[b] === 2) dualvar[b] -= delta;
+        }
+      }
+
+      if (deltatype === 1) break;
+      if (deltatype === 2) {
+        allowedge[deltaedge] = true;
+        let [i, j] = edges[deltaedge];
+        if (label[inblossom[i]] === 0) i = j;
+        queue.push(i);
+      } else if (deltatype === 3) {
+        allowedge[deltaedge] = true;
+        queue.push(edges[deltaedge][0]);
+      } else if (deltatype === 4) {
+        expandBlossom(deltablossom, false);
+      }
+    }
+
+    if (!augmented) break;
+
+    for (let b = nvertex; b < 2 * nvertex; b++) {
+      if (blossomparent[b] === -1 && blossombase[b] >= 0 && label[b] === 1 && dualvar[b] === 0) {
+        expandBlossom(b, true);
+      }
+    }
+  }
+
+  return mate.map((p) => (p >= 0 ? endpoint[p] : -1));
+}
@@ -1,222 +1,211 @@
 // src/services/pairingEngine.js
 // Exported functions:
-// - uscfPairingEngine(players) -> { pairings, players: updatedPlayers }
-// - computeTieBreaks(players) -> modifies players with buchholz/median/sb/cumulative
+// - uscfPairingEngine(players, options) -> { pairings, players: updatedPlayers, floats, colorViolations, repeats, teammatePairings, relaxedAvoidances }
+//   options: { allowRepeats, avoidTeammates, avoidReason, initialColor } - throws when no pairing exists without a repeat unless allowRepeats is set
+//   relaxedAvoidances lists every "do not pair" constraint the engine had to break: [{ whiteId, blackId, reason }]
+//   players may carry a pairingScore (see acceleration.js) that replaces score for grouping
+
+import { maxWeightMatching } from "./matching";
+import { dueColor, allocateUscfColors } from "./colorAllocation";
 
 export function uid() {
   return Math.random().toString(36).slice(2, 9);
 }
 
-function seedCompare(a, b) {
+export function seedCompare(a, b) {
   if ((b.rating || 0) !== (a.rating || 0)) return (b.rating || 0) - (a.rating || 0);
   return a.name.localeCompare(b.name);
 }
 
-function havePlayed(a, b) {
+export function havePlayed(a, b) {
   if (!a || !b) return false;
   return (a.opponents || []).includes(b.id);
 }
 
-function chooseColorsForPair(pA, pB) {
-  const aW = (pA.colors || []).filter((c) => c === "W").length;
-  const aB = (pA.colors || []).filter((c) => c === "B").length;
-  const bW = (pB.colors || []).filter((c) => c === "W").length;
-  const bB = (pB.colors || []).filter((c) => c === "B").length;
-  const aLast = (pA.colors || []).slice(-2).join("");
-  const bLast = (pB.colors || []).slice(-2).join("");
+// Objective weights for the matching, in strict priority order: one unit of a tier always
+// outweighs everything the tiers below it can add up to in a realistic section.
+const REPEAT_COST = 1e13; // only offered when options.allowRepeats is set
+const FLOAT_COST = 1e10; // per half point of score difference inside a pairing
+const AVOID_COST = 1e9; // a soft "do not pair" constraint (teammates, siblings, requested pairs)
+const COLOR_COST = 1e7; // both players are due the same color
+const EDGE_BASE = 2e15;
+
+// Score used to build score groups: includes acceleration points when the section uses them.
+export function scoreOf(p) {
+  if (p.pairingScore !== undefined) return p.pairingScore;
+  return p.score || 0;
+}
 
-  if (aLast === "WW" && bLast !== "WW") return { whiteId: pB.id, blackId: pA.id };
-  if (aLast === "BB" && bLast !== "BB") return { whiteId: pA.id, blackId: pB.id };
-  if (bLast === "WW" && aLast !== "WW") return { whiteId: pA.id, blackId: pB.id };
-  if (bLast === "BB" && aLast !== "BB") return { whiteId: pB.id, blackId: pA.id };
+export function rankCompare(a, b) {
+  if (scoreOf(b) !== scoreOf(a)) return scoreOf(b) - scoreOf(a);
+  return seedCompare(a, b);
+}
 
-  if (aW <= aB && bW > bB) return { whiteId: pA.id, blackId: pB.id };
-  if (bW <= bB && aW > aB) return { whiteId: pB.id, blackId: pA.id };
+export function areTeammates(a, b) {
+  return !!a.team && a.team === b.team;
+}
 
-  if ((pA.rating || 0) > (pB.rating || 0)) return { whiteId: pB.id, blackId: pA.id };
-  return { whiteId: pA.id, blackId: pB.id };
+// Combined soft "do not pair" check used by the engines: teammates (options.avoidTeammates) and the
+// section's constraints (options.avoidReason, see avoidance.js). Returns (a, b) => reason or null.
+export function avoidanceCheck({ avoidTeammates = false, avoidReason = null } = {}) {
+  return (a, b) => (avoidTeammates && areTeammates(a, b) ? "teammates" : null) || (avoidReason ? avoidReason(a, b) : null);
 }
 
-// Build score groups and pair within them (pragmatic USCF approach).
-export function uscfPairingEngine(playersRaw = []) {
-  // playersRaw: array of player objects { id, name, rating, score, opponents: [], colors: [], hadBye, withdrawn }
-  const players = JSON.parse(JSON.stringify(playersRaw)).filter((p) => !p.withdrawn);
-  players.sort((a, b) => {
-    if (b.score !== a.score) return b.score - a.score;
-    if ((b.rating || 0) !== (a.rating || 0)) return (b.rating || 0) - (a.rating || 0);
-    return a.name.localeCompare(b.name);
-  });
+export function recordPairing(pA, pB, whiteId) {
+  pA.opponents = pA.opponents || [];
+  pB.opponents = pB.opponents || [];
+  if (!pA.opponents.includes(pB.id)) pA.opponents.push(pB.id);
+  if (!pB.opponents.includes(pA.id)) pB.opponents.push(pA.id);
+  pA.colors = pA.colors || [];
+  pB.colors = pB.colors || [];
+  if (whiteId === pA.id) {
+    pA.colors.push("W");
+    pB.colors.push("B");
+  } else {
+    pA.colors.push("B");
+    pB.colors.push("W");
+  }
+}
 
-  // Build score groups
-  const byScore = new Map();
-  players.forEach((p) => {
-    const key = p.score.toFixed(3);
-    if (!byScore.has(key)) byScore.set(key, []);
-    byScore.get(key).push(p);
+// Distance from the natural pairing inside each score group (top half against bottom half,
+// lowest of a group floating against the highest of the next). Used as the last cost tier,
+// it ranks transpositions and exchanges the same way a TD would try them by hand.
+// players must already be in rank order; i < j.
+export function naturalOrderCost(players) {
+  const groupSize = new Map();
+  const groupPos = players.map((p) => {
+    const key = scoreOf(p);
+    const pos = groupSize.get(key) || 0;
+    groupSize.set(key, pos + 1);
+    return pos;
   });
-  const groups = Array.from(byScore.entries())
-    .map(([score, list]) => ({ score: +score, players: list }))
-    .sort((a, b) => b.score - a.score);
-  groups.forEach((g) => g.players.sort(seedCompare));
-
-  let allPairings = [];
-
-  // pair within groups & float as needed (pragmatic greedy pairing)
-  for (let gi = 0; gi < groups.length; gi++) {
-    const group = groups[gi];
-    const playersInGroup = group.players.slice();
-    const topCount = Math.ceil(playersInGroup.length / 2);
-    const top = playersInGroup.slice(0, topCount);
-    let bottom = playersInGroup.slice(topCount);
-
-    const pairingsInGroup = [];
-    const floated = [];
-
-    for (let i = 0; i < top.length; i++) {
-      const t = top[i];
-      if (i >= bottom.length) {
-        floated.push(t);
-        continue;
-      }
-      let chosenIdx = -1;
-      for (let j = i; j < bottom.length; j++) {
-        if (!havePlayed(t, bottom[j])) {
-          chosenIdx = j;
-          break;
-        }
-      }
-      if (chosenIdx === -1) {
-        for (let j = 0; j < bottom.length; j++) {
-          if (!bottom[j]._used) {
-            chosenIdx = j;
-            break;
-          }
-        }
-      }
-      if (chosenIdx === -1) {
-        floated.push(t);
-        continue;
-      }
-      const chosen = bottom.splice(chosenIdx, 1)[0];
-      // choose colors
-      const pA = players.find((x) => x.id === t.id) || t;
-      const pB = players.find((x) => x.id === chosen.id) || chosen;
-      const { whiteId, blackId } = chooseColorsForPair(pA, pB);
-
-      pairingsInGroup.push({ whiteId, blackId, isBye: false, result: null, tdNote: null });
-
-      // update local opponents/colors for next pairing decisions
-      if (!pA.opponents) pA.opponents = [];
-      if (!pB.opponents) pB.opponents = [];
-      if (!pA.opponents.includes(pB.id)) pA.opponents.push(pB.id);
-      if (!pB.opponents.includes(pA.id)) pB.opponents.push(pA.id);
-      pA.colors = pA.colors || [];
-      pB.colors = pB.colors || [];
-      if (whiteId === pA.id) {
-        pA.colors.push("W");
-        pB.colors.push("B");
-      } else {
-        pA.colors.push("B");
-        pB.colors.push("W");
-      }
+  return (i, j) => {
+    const a = players[i];
+    const b = players[j];
+    if (scoreOf(a) === scoreOf(b)) {
+      const half = Math.floor(groupSize.get(scoreOf(a)) / 2);
+      return Math.abs(groupPos[j] - groupPos[i] - half);
     }
+    // choosing the lowest player to float outranks any transposition inside the group
+    const size = groupSize.get(scoreOf(a));
+    return (size - 1 - groupPos[i]) * size + groupPos[j];
+  };
+}
 
-    allPairings.push(...pairingsInGroup);
-
-    if (floated.length) {
-      if (gi + 1 < groups.length) {
-        groups[gi + 1].players = groups[gi + 1].players.concat(floated);
-      } else {
-        // leftover floats - will handle later
-        groups[gi].leftover = (groups[gi].leftover || []).concat(floated);
-      }
+// Minimum-cost complete pairing of ranked players. pairCost(i, j) and byeCost(i) return a
+// cost, or null when that pairing (or bye) is not allowed. Because the matching maximizes the
+// number of pairs first, a pairing of the whole field is found whenever one exists.
+// Returns { pairs: [[i, j], ...] in board order, byeIndex }, or throws listing the players
+// that cannot be paired. colorBlocked(i, j) tells which refused pairs clash on absolute colors:
+// allowRepeats can't open those, so the error only points the TD at a retry when a repeat (or a
+// second bye) is what stands in the way.
+export function pairByMatching(players, pairCost, byeCost, { colorBlocked = () => false, allowRepeats = false } = {}) {
+  const n = players.length;
+  const edges = [];
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const cost = pairCost(i, j);
+      if (cost !== null) edges.push([i, j, EDGE_BASE - cost]);
     }
   }
+  // odd field: a virtual player stands in for the bye
+  const byeNode = n % 2 === 1 ? n : -1;
+  if (byeNode >= 0) {
+    players.forEach((p, i) => {
+      const cost = byeCost(i);
+      if (cost !== null) edges.push([i, byeNode, EDGE_BASE - cost]);
+    });
+  }
 
-  // collect unpaired leftovers and pair them greedy
-  const leftoverPlayers = [];
-  groups.forEach((g) => {
-    if (g.leftover) leftoverPlayers.push(...g.leftover);
-  });
-
-  // determine currently paired ids
-  const pairedIds = new Set();
-  allPairings.forEach((p) => {
-    if (p.whiteId) pairedIds.add(p.whiteId);
-    if (p.blackId) pairedIds.add(p.blackId);
+  const mate = maxWeightMatching(edges, true);
+  const unpaired = players.map((p, i) => i).filter((i) => !(mate[i] >= 0));
+  if (unpaired.length) {
+    const names = (list) => list.map((i) => players[i].name).join(", ");
+    const others = (i) => players.map((p, j) => j).filter((j) => j !== i);
+    const byColor = unpaired.filter((i) => others(i).some((j) => colorBlocked(i, j)));
+    const byRepeat = unpaired.filter(
+      (i) => others(i).some((j) => pairCost(i, j) === null && !colorBlocked(i, j)) || (byeNode >= 0 && byeCost(i) === null)
+    );
+    let message = "No legal pairing exists for: " + names(unpaired) + ".";
+    if (byColor.length) message += " Absolute color preferences rule out opponents for: " + names(byColor) + " - pair them by hand in a draft round.";
+    if (byRepeat.length && !allowRepeats) message += " Pair again with allowRepeats to accept a repeat.";
+    throw new Error(message);
+  }
+  const pairs = [];
+  let byeIndex = -1;
+  players.forEach((p, i) => {
+    if (mate[i] === byeNode) byeIndex = i;
+    else if (mate[i] > i) pairs.push([i, mate[i]]);
   });
+  return { pairs, byeIndex };
+}
 
-  const unpaired = players.filter((p) => !pairedIds.has(p.id)).concat(leftoverPlayers);
-
-  while (unpaired.length >= 2) {
-    const a = unpaired.shift();
-    let idx = unpaired.findIndex((x) => !havePlayed(a, x));
-    if (idx === -1) idx = 0;
-    const b = unpaired.splice(idx, 1)[0];
-    const pA = players.find((p) => p.id === a.id) || a;
-    const pB = players.find((p) => p.id === b.id) || b;
-    const { whiteId, blackId } = chooseColorsForPair(pA, pB);
-    allPairings.push({ whiteId, blackId, isBye: false, result: null, tdNote: null });
-
-    if (!pA.opponents) pA.opponents = [];
-    if (!pB.opponents) pB.opponents = [];
-    if (!pA.opponents.includes(pB.id)) pA.opponents.push(pB.id);
-    if (!pB.opponents.includes(pA.id)) pB.opponents.push(pA.id);
-    pA.colors = pA.colors || [];
-    pB.colors = pB.colors || [];
-    if (whiteId === pA.id) {
-      pA.colors.push("W");
-      pB.colors.push("B");
-    } else {
-      pA.colors.push("B");
-      pB.colors.push("W");
-    }
+// Swiss pairing as a minimum-cost complete matching over all legal pairs.
+// Cost tiers: repeats (if allowed), points floated, avoidance constraints, color clashes, then natural order.
+export function uscfPairingEngine(playersRaw = [], options = {}) {
+  // playersRaw: array of player objects { id, name, rating, score, opponents: [], colors: [], hadBye, withdrawn, team }
+  const { allowRepeats = false, initialColor = "W" } = options;
+  const avoidance = avoidanceCheck(options);
+  const players = JSON.parse(JSON.stringify(playersRaw)).filter((p) => !p.withdrawn);
+  players.sort(rankCompare);
+  const n = players.length;
+  if (!n) return { pairings: [], players, floats: 0, colorViolations: 0, repeats: 0, teammatePairings: 0, relaxedAvoidances: [] };
+
+  const orderCost = naturalOrderCost(players);
+  const minScore = scoreOf(players[n - 1]);
+  const isRepeat = (a, b) => havePlayed(a, b) || havePlayed(b, a);
+
+  function pairCost(i, j) {
+    const a = players[i];
+    const b = players[j];
+    const repeat = isRepeat(a, b);
+    if (repeat && !allowRepeats) return null;
+    let cost = repeat ? REPEAT_COST : 0;
+    cost += Math.round(Math.abs(scoreOf(a) - scoreOf(b)) * 2) * FLOAT_COST;
+    if (avoidance(a, b)) cost += AVOID_COST;
+    const dueA = dueColor(a).color;
+    if (dueA && dueA === dueColor(b).color) cost += COLOR_COST;
+    return cost + orderCost(i, j);
   }
 
-  // If one remains -> bye
-  const remaining = players.filter((p) => !allPairings.some((pi) => pi.whiteId === p.id || pi.blackId === p.id));
-  if (remaining.length === 1) {
-    // lowest eligible (lowest score then lowest rating)
-    remaining.sort((a, b) => a.score - b.score || (a.rating || 0) - (b.rating || 0));
-    const candidate = remaining.find((p) => !p.hadBye) || remaining[0];
-    allPairings.push({ whiteId: candidate.id, blackId: null, isBye: true, result: "1-0", tdNote: "auto-bye" });
-    const pidx = players.findIndex((p) => p.id === candidate.id);
-    if (pidx >= 0) players[pidx].hadBye = true;
+  // the bye goes to the lowest ranked player of the lowest score group who has not had one
+  function byeCost(i) {
+    const p = players[i];
+    if (p.hadBye && !allowRepeats) return null;
+    return (p.hadBye ? REPEAT_COST : 0) + Math.round((scoreOf(p) - minScore) * 2) * FLOAT_COST + (n - 1 - i);
   }
 
-  return { pairings: allPairings, players };
-}
-
-// tiebreaks based on players array (players should include .opponents and .results)
-export function computeTieBreaks(players) {
-  const byId = new Map(players.map((p) => [p.id, p]));
-  players.forEach((p) => {
-    p.opponents = p.opponents || [];
-    p.results = p.results || [];
-  });
-  players.forEach((p) => {
-    const oppScores = p.opponents.map((id) => byId.get(id)?.score || 0).sort((a, b) => a - b);
-    const buch = oppScores.reduce((s, v) => s + v, 0);
-    let median = buch;
-    if (oppScores.length > 2) median = buch - oppScores[0] - oppScores[oppScores.length - 1];
-    let sb = 0;
-    (p.results || []).forEach((r) => {
-      if (r.isBye) return;
-      const opp = byId.get(r.oppId);
-      if (!opp) return;
-      if (r.result === 1) sb += opp.score;
-      else if (r.result === 0.5) sb += opp.score / 2;
-    });
-    let run = 0;
-    let cum = 0;
-    const sorted = (p.results || []).slice().sort((a, b) => a.round - b.round);
-    sorted.forEach((r) => {
-      run += r.result;
-      cum += run;
-    });
-    p.buchholz = +buch.toFixed(3);
-    p.median = +median.toFixed(3);
-    p.sb = +sb.toFixed(3);
-    p.cumulative = +cum.toFixed(3);
+  const { pairs, byeIndex } = pairByMatching(players, pairCost, byeCost, { allowRepeats });
+
+  const allPairings = [];
+  let floats = 0;
+  let colorViolations = 0;
+  let repeats = 0;
+  let teammatePairings = 0;
+  const relaxedAvoidances = [];
+  pairs.forEach(([i, j], board) => {
+    const pA = players[i];
+    const pB = players[j];
+    if (isRepeat(pA, pB)) repeats++;
+    if (scoreOf(pA) !== scoreOf(pB)) floats++;
+    if (areTeammates(pA, pB)) teammatePairings++;
+    const prefA = dueColor(pA).color;
+    const prefB = dueColor(pB).color;
+    const { whiteId, blackId, whiteReason, blackReason } = allocateUscfColors(pA, pB, { board: board + 1, initialColor });
+    const reason = avoidance(pA, pB);
+    if (reason) relaxedAvoidances.push({ whiteId, blackId, reason });
+    if (prefA && prefA !== (whiteId === pA.id ? "W" : "B")) colorViolations++;
+    if (prefB && prefB !== (whiteId === pB.id ? "W" : "B")) colorViolations++;
+    allPairings.push({ whiteId, blackId, isBye: false, result: null, tdNote: null, whiteReason, blackReason });
+    recordPairing(pA, pB, whiteId);
   });
+
+  if (byeIndex >= 0) {
+    const byePlayer = players[byeIndex];
+    if (byePlayer.hadBye) repeats++;
+    allPairings.push({ whiteId: byePlayer.id, blackId: null, isBye: true, byeType: "full", result: "1-0", tdNote: "auto-bye" });
+    byePlayer.hadBye = true;
+  }
+
+  return { pairings: allPairings, players, floats, colorViolations, repeats, teammatePairings, relaxedAvoidances };
 }
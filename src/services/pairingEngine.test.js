@@ -0,0 +1,85 @@
+import { uscfPairingEngine } from "./pairingEngine";
+import { applyAcceleration } from "./acceleration";
+import { avoidanceReason } from "./avoidance";
+
+function player(id, rating, score = 0, extra = {}) {
+  return { id, name: id, rating, score, opponents: [], colors: [], hadBye: false, withdrawn: false, ...extra };
+}
+
+function pairedIds(pairings) {
+  return pairings.filter((p) => !p.isBye).map((p) => [p.whiteId, p.blackId].sort().join("-")).sort();
+}
+
+test("round one pairs top half against bottom half", () => {
+  const players = [player("a", 1800), player("b", 1700), player("c", 1600), player("d", 1500)];
+  const { pairings, floats, repeats } = uscfPairingEngine(players);
+  expect(pairedIds(pairings)).toEqual(["a-c", "b-d"]);
+  expect(floats).toBe(0);
+  expect(repeats).toBe(0);
+});
+
+test("transposes inside the score group instead of repeating an opponent", () => {
+  const players = [
+    player("a", 1800, 1, { opponents: ["c"], colors: ["W"] }),
+    player("b", 1700, 1, { opponents: ["d"], colors: ["W"] }),
+    player("c", 1600, 1, { opponents: ["a"], colors: ["B"] }),
+    player("d", 1500, 1, { opponents: ["b"], colors: ["B"] }),
+  ];
+  const { pairings, repeats } = uscfPairingEngine(players);
+  expect(pairedIds(pairings)).toEqual(["a-d", "b-c"]);
+  expect(repeats).toBe(0);
+});
+
+test("floats rather than repeating, and the odd player gets the bye", () => {
+  const players = [
+    player("a", 1800, 2, { opponents: ["b"] }),
+    player("b", 1700, 2, { opponents: ["a"] }),
+    player("c", 1600, 1),
+    player("d", 1500, 1),
+    player("e", 1400, 0),
+  ];
+  const { pairings, floats } = uscfPairingEngine(players);
+  expect(pairedIds(pairings)).toEqual(["a-c", "b-d"]);
+  expect(floats).toBe(2);
+  expect(pairings.find((p) => p.isBye).whiteId).toBe("e");
+});
+
+test("refuses a repeat pairing unless allowed", () => {
+  const players = [player("a", 1800, 1, { opponents: ["b"] }), player("b", 1700, 0, { opponents: ["a"] })];
+  expect(() => uscfPairingEngine(players)).toThrow(/No legal pairing/);
+  const { pairings, repeats } = uscfPairingEngine(players, { allowRepeats: true });
+  expect(pairedIds(pairings)).toEqual(["a-b"]);
+  expect(repeats).toBe(1);
+});
+
+test("accelerated first round keeps the top group apart from the bottom group", () => {
+  const players = [player("a", 1700), player("b", 1600), player("c", 900), player("d", 800)];
+  const accelerated = applyAcceleration(players, { method: "davis", rounds: 2, cutoffRating: 1200 }, 1);
+  const { pairings } = uscfPairingEngine(accelerated);
+  expect(pairedIds(pairings)).toEqual(["a-b", "c-d"]);
+  expect(accelerated.map((p) => p.score)).toEqual([0, 0, 0, 0]);
+});
+
+test("keeps teammates apart when asked and another pairing of the group allows it", () => {
+  const players = [
+    player("a", 1800, 0, { team: "Lincoln" }),
+    player("b", 1700, 0),
+    player("c", 1600, 0, { team: "Lincoln" }),
+    player("d", 1500, 0),
+  ];
+  expect(uscfPairingEngine(players).teammatePairings).toBe(1);
+  const { pairings, teammatePairings } = uscfPairingEngine(players, { avoidTeammates: true });
+  expect(pairings).toHaveLength(2);
+  expect(pairedIds(pairings)).not.toContain("a-c");
+  expect(teammatePairings).toBe(0);
+});
+
+test("relaxes a do-not-pair request only when the group cannot be paired otherwise, and reports it", () => {
+  const avoidReason = avoidanceReason({ pairs: [{ a: "a", b: "b" }], byFamily: true }, { round: 2, plannedRounds: 5 });
+  const siblings = [player("a", 1800, 1, { family: "Lee" }), player("b", 1700, 1, { family: "Lee" }), player("c", 1600, 1), player("d", 1500, 1)];
+  expect(uscfPairingEngine(siblings, { avoidReason }).relaxedAvoidances).toEqual([]);
+
+  const alone = [player("a", 1800, 1), player("b", 1700, 1)];
+  const { relaxedAvoidances } = uscfPairingEngine(alone, { avoidReason });
+  expect(relaxedAvoidances).toEqual([expect.objectContaining({ reason: "requested" })]);
+});
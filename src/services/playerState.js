@@ -0,0 +1,121 @@
+// src/services/playerState.js
+// Exported functions:
+// - ptsFromStr(result) -> { w, b } points for each side of a result string
+// - isForfeit(result) -> true for "1F-0F", "0F-1F" and "0F-0F"
+// - STATE_FIELDS: the player fields that follow from the rounds
+// - derivePlayerState(players, rounds) -> { [playerId]: { score, opponents, colors, results, hadBye } }
+// - diffPlayerState(players, rounds) -> [{ playerId, name, field, stored, derived }] for every drifted field
+//
+// Player docs carry score, opponents, colors, results and hadBye so the engines and the views
+// don't have to walk the rounds, but the rounds are the record: these functions rebuild the
+// fields from the round docs alone, the way pairing and result entry write them.
+// - a game adds the opponent and the color unless it was forfeited; a pending game (no result
+//   yet) counts as played, as it does from the moment the round is paired
+// - a result adds a results entry (forfeits marked forfeit: true) and its points
+// - a bye adds its points and results entry at once; only the pairing bye sets hadBye
+// floatHistory is left out: it depends on the scores the engine grouped by (acceleration
+// included), which the round docs don't keep.
+
+export const STATE_FIELDS = ["score", "opponents", "colors", "results", "hadBye"];
+
+// Points for each side of a result string ("1-0", "0-1", "½-½", "0.5-0" for a half-point bye,
+// forfeits "1F-0F" / "0F-1F"; anything else, "0F-0F" included, scores nothing)
+export function ptsFromStr(res) {
+  if (!res) return { w: 0, b: 0 };
+  if (res === "1-0" || res === "1F-0F") return { w: 1, b: 0 };
+  if (res === "0-1" || res === "0F-1F") return { w: 0, b: 1 };
+  if (res === "0.5-0" || res === "½-0") return { w: 0.5, b: 0 };
+  if (res === "0.5-0.5" || res === "½-½") return { w: 0.5, b: 0.5 };
+  return { w: 0, b: 0 };
+}
+
+export function isForfeit(res) {
+  return res === "1F-0F" || res === "0F-1F" || res === "0F-0F";
+}
+
+function emptyState() {
+  return { score: 0, opponents: [], colors: [], results: [], hadBye: false };
+}
+
+export function derivePlayerState(players = [], rounds = []) {
+  const state = {};
+  players.forEach((p) => {
+    state[p.id] = emptyState();
+  });
+  const of = (id) => state[id] || (state[id] = emptyState());
+
+  rounds.slice().sort((a, b) => a.number - b.number).forEach((round) => {
+    (round.pairings || []).forEach((pp) => {
+      const pts = ptsFromStr(pp.result);
+      if (pp.isBye) {
+        if (!pp.whiteId) return;
+        const s = of(pp.whiteId);
+        s.score += pts.w;
+        s.results.push({ round: round.number, oppId: null, result: pts.w, isBye: true, byeType: pp.byeType || null });
+        if (pp.byeType !== "half" && pp.byeType !== "zero") s.hadBye = true;
+        return;
+      }
+      const forfeit = isForfeit(pp.result);
+      [[pp.whiteId, pp.blackId, "W", pts.w], [pp.blackId, pp.whiteId, "B", pts.b]].forEach(([id, oppId, color, mine]) => {
+        if (!id) return;
+        const s = of(id);
+        if (!forfeit) {
+          if (!s.opponents.includes(oppId)) s.opponents.push(oppId);
+          s.colors.push(color);
+        }
+        if (pp.result) {
+          s.score += mine;
+          s.results.push({ round: round.number, oppId, result: mine, isBye: false, ...(forfeit ? { forfeit: true } : {}) });
+        }
+      });
+    });
+  });
+
+  Object.values(state).forEach((s) => {
+    s.score = +s.score.toFixed(3);
+  });
+  return state;
+}
+
+// Stored and derived values are compared loosely where the order or the spelling doesn't
+// matter: opponents as a set, results by round whatever order they were written in.
+function normalize(field, value) {
+  switch (field) {
+    case "score":
+      return +(Number(value) || 0).toFixed(3);
+    case "opponents":
+      return (value || []).slice().sort();
+    case "colors":
+      return (value || []).slice();
+    case "results":
+      return (value || [])
+        .map((r) => ({
+          round: r.round,
+          oppId: r.oppId || null,
+          result: Number(r.result) || 0,
+          isBye: !!r.isBye,
+          byeType: r.isBye ? r.byeType || null : null,
+          forfeit: !!r.forfeit,
+        }))
+        .sort((a, b) => a.round - b.round || String(a.oppId).localeCompare(String(b.oppId)));
+    case "hadBye":
+      return !!value;
+    default:
+      return value;
+  }
+}
+
+export function diffPlayerState(players = [], rounds = []) {
+  const derived = derivePlayerState(players, rounds);
+  const diffs = [];
+  players.forEach((p) => {
+    STATE_FIELDS.forEach((field) => {
+      const stored = normalize(field, p[field]);
+      const want = normalize(field, derived[p.id][field]);
+      if (JSON.stringify(stored) !== JSON.stringify(want)) {
+        diffs.push({ playerId: p.id, name: p.name, field, stored: p[field], derived: derived[p.id][field] });
+      }
+    });
+  });
+  return diffs;
+}
@@ -0,0 +1,41 @@
+import { derivePlayerState, diffPlayerState } from "./playerState";
+
+const g = (whiteId, blackId, result = null) => ({ whiteId, blackId, isBye: false, result });
+const rounds = [
+  { number: 1, pairings: [g("a", "b", "1-0"), { whiteId: "c", blackId: null, isBye: true, byeType: "full", result: "1-0" }] },
+  { number: 2, pairings: [g("c", "a", "0F-1F"), { whiteId: "b", blackId: null, isBye: true, byeType: "half", result: "0.5-0" }] },
+  { number: 3, pairings: [g("b", "c"), g("a", "d")] },
+];
+const players = ["a", "b", "c", "d"].map((id) => ({ id, name: id }));
+
+test("player state is rebuilt from the rounds", () => {
+  const state = derivePlayerState(players, rounds);
+  expect(state.a).toEqual({
+    score: 2,
+    opponents: ["b", "d"],
+    colors: ["W", "W"],
+    results: [
+      { round: 1, oppId: "b", result: 1, isBye: false },
+      { round: 2, oppId: "c", result: 1, isBye: false, forfeit: true },
+    ],
+    hadBye: false,
+  });
+  expect(state.b).toMatchObject({ score: 0.5, opponents: ["a", "c"], colors: ["B", "W"], hadBye: false });
+  expect(state.c).toMatchObject({ score: 1, opponents: ["b"], colors: ["B"], hadBye: true });
+  expect(state.d).toMatchObject({ score: 0, opponents: ["a"], colors: ["B"], results: [] });
+});
+
+test("the checker reports only fields that really drifted", () => {
+  const state = derivePlayerState(players, rounds);
+  const stored = players.map((p) => ({ ...p, ...state[p.id] }));
+  // opponents in another order and results written out of order are not drift
+  stored[0] = { ...stored[0], opponents: ["d", "b"], results: stored[0].results.slice().reverse() };
+  expect(diffPlayerState(stored, rounds)).toEqual([]);
+
+  // a board swapped on the round doc without touching the players
+  const swapped = rounds.map((r) => (r.number === 3 ? { ...r, pairings: [g("b", "c"), g("d", "a")] } : r));
+  expect(diffPlayerState(stored, swapped)).toEqual([
+    { playerId: "a", name: "a", field: "colors", stored: ["W", "W"], derived: ["W", "B"] },
+    { playerId: "d", name: "d", field: "colors", stored: ["B"], derived: ["W"] },
+  ]);
+});
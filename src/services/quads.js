@@ -0,0 +1,48 @@
+// src/services/quads.js
+// Exported functions:
+// - splitIntoQuads(players) -> array of player groups, highest rated first
+// - quadWinners(players) -> { winners, score, standings } for one finished (or running) quad
+//
+// Quads: the pool is sorted by rating and cut into groups of four. Leftovers are merged into
+// the bottom group(s) so that no group is smaller than four: one extra player makes a five,
+// two make a six, three turn the last two groups into a five and a six. Pools too small for
+// that (fewer than eleven players with three left over) keep a short last group instead.
+// Every group plays QUAD_ROUNDS rounds from its Berger table: a six stops after three rounds,
+// and in a five (or a three) the dummy seed gives one player a rotating bye each round.
+
+import { seedCompare } from "./pairingEngine";
+import { computeTieBreaks, sortStandings, TIEBREAK_ORDER } from "./tiebreaks";
+
+export const QUAD_ROUNDS = 3;
+
+export function splitIntoQuads(playersRaw = []) {
+  const players = playersRaw.filter((p) => !p.withdrawn).slice().sort(seedCompare);
+  const n = players.length;
+  if (n <= 6) return n ? [players] : [];
+
+  let sizes = new Array(Math.floor(n / 4)).fill(4);
+  const leftover = n % 4;
+  if (leftover === 1) sizes[sizes.length - 1] = 5;
+  else if (leftover === 2) sizes[sizes.length - 1] = 6;
+  else if (leftover === 3) {
+    if (sizes.length >= 2) sizes = sizes.slice(0, -2).concat([5, 6]);
+    else sizes.push(3);
+  }
+
+  const groups = [];
+  let start = 0;
+  sizes.forEach((size) => {
+    groups.push(players.slice(start, start + size));
+    start += size;
+  });
+  return groups;
+}
+
+export function quadWinners(playersRaw = []) {
+  const players = playersRaw.map((p) => ({ ...p }));
+  computeTieBreaks(players);
+  const standings = sortStandings(players, TIEBREAK_ORDER.roundrobin);
+  const score = standings.length ? standings[0].score || 0 : 0;
+  const winners = standings.filter((p) => (p.score || 0) === score);
+  return { winners, score, standings };
+}
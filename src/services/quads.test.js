@@ -0,0 +1,23 @@
+import { splitIntoQuads, QUAD_ROUNDS } from "./quads";
+import { bergerSchedule } from "./roundRobin";
+
+function pool(n) {
+  return Array.from({ length: n }, (_, i) => ({ id: "p" + i, name: "p" + i, rating: 2000 - i * 10 }));
+}
+
+test("splits by rating into fours and merges leftovers into fives and sixes", () => {
+  const sizes = (n) => splitIntoQuads(pool(n)).map((g) => g.length);
+  expect(sizes(12)).toEqual([4, 4, 4]);
+  expect(sizes(13)).toEqual([4, 4, 5]);
+  expect(sizes(14)).toEqual([4, 4, 6]);
+  expect(sizes(15)).toEqual([4, 5, 6]);
+  expect(splitIntoQuads(pool(8))[0].map((p) => p.id)).toEqual(["p0", "p1", "p2", "p3"]);
+});
+
+test("every group plays three rounds, fives with a rotating bye", () => {
+  [3, 4, 5, 6].forEach((size) => {
+    const schedule = bergerSchedule(pool(size), { maxRounds: QUAD_ROUNDS });
+    expect(schedule).toHaveLength(3);
+    schedule.forEach((round) => expect(round.pairings.filter((p) => p.isBye)).toHaveLength(size % 2));
+  });
+});
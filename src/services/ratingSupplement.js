@@ -0,0 +1,163 @@
+// src/services/ratingSupplement.js
+// Exported functions:
+// - parseSupplement(text) -> [{ uscfId, name, rating, ratedGames, provisional, expires, state }]
+// - buildIndex(entries) -> { entries, byId } for the lookups below
+// - lookupById(index, uscfId) -> entry or null
+// - searchByName(index, query, limit) -> entries whose name holds every word of the query
+// - isExpired(entry, asOf) -> true when the membership ran out before asOf (YYYY-MM-DD)
+// - membershipProblems(players, index, asOf) -> [{ playerId, name, uscfId, problem }]
+// - saveSupplement(month, entries, storage) / loadSupplement(month, storage) /
+//   listSupplementMonths(storage) / removeSupplement(month, storage)
+// - supplementRatingLookup(storage) -> (player, date) => rating in that month's supplement or null
+//
+// The monthly US Chess rating supplement, kept in the browser (localStorage by default) so
+// lookups work at a venue without a connection. The file is read as delimited text with a
+// header row (see delimited.js); columns are found by name: ID / MemID / USCF ID, Name,
+// Rating / Regular Rating / R_RTNG, Expiration / Exp Date / MemExpDt, State. A rating written
+// "1234P12" or "1234/P12" is provisional after 12 games; "Unr." or blank is unrated.
+// Supplements are stored per month ("2026-10") so an event can use the one in force on its
+// rating cutoff date. A full national file is too big for localStorage: load a state extract.
+
+import { parseDelimited } from "./delimited";
+
+const STORAGE_PREFIX = "uscfSupplement:";
+
+const COLUMNS = {
+  uscfId: ["id", "memid", "uscf id", "uscfid", "mem_id", "member id"],
+  name: ["name", "mem_name", "member name"],
+  rating: ["rating", "regular rating", "r_rtng", "reg rating", "regular"],
+  expires: ["expiration", "exp date", "expires", "memexpdt", "exp_date", "expiration date"],
+  state: ["state", "st", "mem_state"],
+};
+
+function normalizeDate(value) {
+  const v = String(value || "").trim();
+  let m = v.match(/^(\d{4})-?(\d{2})-?(\d{2})$/);
+  if (m) return `${m[1]}-${m[2]}-${m[3]}`;
+  m = v.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (m) return `${m[3]}-${m[1].padStart(2, "0")}-${m[2].padStart(2, "0")}`;
+  return null;
+}
+
+function parseRating(value) {
+  const m = String(value || "").trim().match(/^(\d+)\s*(?:\/?P(\d+))?/i);
+  if (!m) return { rating: 0, ratedGames: 0, provisional: false };
+  const games = m[2] ? Number(m[2]) : null;
+  return { rating: Number(m[1]), ratedGames: games, provisional: games != null };
+}
+
+export function parseSupplement(text) {
+  const { headers: raw, rows } = parseDelimited(text);
+  const headers = raw.map((h) => h.toLowerCase());
+  const col = {};
+  Object.entries(COLUMNS).forEach(([key, names]) => {
+    col[key] = headers.findIndex((h) => names.includes(h));
+  });
+  if (col.uscfId < 0 || col.name < 0) throw new Error("The supplement needs an ID column and a Name column");
+
+  return rows.map((cells) => {
+    const get = (key) => (col[key] >= 0 ? cells[col[key]] || "" : "");
+    return {
+      uscfId: get("uscfId"),
+      name: get("name"),
+      ...parseRating(get("rating")),
+      expires: normalizeDate(get("expires")),
+      state: get("state") || null,
+    };
+  }).filter((e) => e.uscfId);
+}
+
+export function buildIndex(entries = []) {
+  return { entries, byId: new Map(entries.map((e) => [String(e.uscfId), e])) };
+}
+
+export function lookupById(index, uscfId) {
+  return (index && index.byId.get(String(uscfId || "").trim())) || null;
+}
+
+export function searchByName(index, query, limit = 20) {
+  const words = String(query || "").toLowerCase().split(/[\s,]+/).filter(Boolean);
+  if (!index || !words.length) return [];
+  const found = [];
+  for (const e of index.entries) {
+    const name = e.name.toLowerCase();
+    if (words.every((w) => name.includes(w))) found.push(e);
+    if (found.length >= limit) break;
+  }
+  return found;
+}
+
+export function isExpired(entry, asOf) {
+  // life members carry no expiration date
+  return !!(entry && entry.expires && entry.expires < asOf);
+}
+
+export function membershipProblems(players = [], index, asOf) {
+  const problems = [];
+  players.forEach((p) => {
+    if (p.withdrawn || !p.uscfId) return;
+    const entry = lookupById(index, p.uscfId);
+    if (!entry) problems.push({ playerId: p.id, name: p.name, uscfId: p.uscfId, problem: "not in the rating supplement" });
+    else if (isExpired(entry, asOf)) problems.push({ playerId: p.id, name: p.name, uscfId: p.uscfId, problem: "membership expired " + entry.expires });
+  });
+  return problems;
+}
+
+// ------------------- local storage -------------------
+// Entries are stored as rows of [uscfId, name, rating, ratedGames, expires, state] to save space.
+
+function defaultStorage() {
+  return typeof window !== "undefined" ? window.localStorage : null;
+}
+
+export function saveSupplement(month, entries, storage = defaultStorage()) {
+  if (!/^\d{4}-\d{2}$/.test(month)) throw new Error("Supplement month must look like 2026-10");
+  if (!storage) throw new Error("No local storage available for the supplement");
+  const rows = entries.map((e) => [e.uscfId, e.name, e.rating, e.ratedGames, e.expires, e.state]);
+  try {
+    storage.setItem(STORAGE_PREFIX + month, JSON.stringify(rows));
+  } catch (err) {
+    throw new Error("The supplement is too big to keep in this browser - load a state extract instead");
+  }
+}
+
+export function loadSupplement(month, storage = defaultStorage()) {
+  const raw = storage && month ? storage.getItem(STORAGE_PREFIX + month) : null;
+  if (!raw) return null;
+  const entries = JSON.parse(raw).map(([uscfId, name, rating, ratedGames, expires, state]) => ({
+    uscfId,
+    name,
+    rating,
+    ratedGames,
+    provisional: ratedGames != null && rating > 0,
+    expires,
+    state,
+  }));
+  return buildIndex(entries);
+}
+
+export function listSupplementMonths(storage = defaultStorage()) {
+  if (!storage) return [];
+  const months = [];
+  for (let i = 0; i < storage.length; i++) {
+    const key = storage.key(i);
+    if (key && key.startsWith(STORAGE_PREFIX)) months.push(key.slice(STORAGE_PREFIX.length));
+  }
+  return months.sort().reverse();
+}
+
+export function removeSupplement(month, storage = defaultStorage()) {
+  if (storage) storage.removeItem(STORAGE_PREFIX + month);
+}
+
+// ratingLookup for the eligibility rules (eligibility.js): the player's rating in the supplement
+// of the month holding the date, or null when that month isn't loaded or the player isn't in it.
+export function supplementRatingLookup(storage = defaultStorage()) {
+  const months = new Map();
+  return (player, date) => {
+    const month = String(date || "").slice(0, 7);
+    if (!months.has(month)) months.set(month, loadSupplement(month, storage));
+    const entry = lookupById(months.get(month), player.uscfId);
+    return entry ? entry.rating : null;
+  };
+}
@@ -0,0 +1,65 @@
+import {
+  parseSupplement,
+  buildIndex,
+  lookupById,
+  searchByName,
+  membershipProblems,
+  saveSupplement,
+  loadSupplement,
+  listSupplementMonths,
+} from "./ratingSupplement";
+
+const FILE = [
+  "ID\tName\tState\tExp Date\tRegular Rating",
+  "12345678\tSMITH, JANE\tTX\t2027-03-31\t1450",
+  "23456789\tSMITH, JOHN\tTX\t2026-01-31\t812/P9",
+  "34567890\tDOE, ALEX\tTX\t\tUnr.",
+].join("\n");
+
+function memoryStorage() {
+  const data = new Map();
+  return {
+    get length() { return data.size; },
+    key: (i) => Array.from(data.keys())[i],
+    getItem: (k) => (data.has(k) ? data.get(k) : null),
+    setItem: (k, v) => data.set(k, String(v)),
+    removeItem: (k) => data.delete(k),
+  };
+}
+
+test("parses ratings, provisional status and expiration dates", () => {
+  const entries = parseSupplement(FILE);
+  expect(entries).toEqual([
+    { uscfId: "12345678", name: "SMITH, JANE", rating: 1450, ratedGames: null, provisional: false, expires: "2027-03-31", state: "TX" },
+    { uscfId: "23456789", name: "SMITH, JOHN", rating: 812, ratedGames: 9, provisional: true, expires: "2026-01-31", state: "TX" },
+    { uscfId: "34567890", name: "DOE, ALEX", rating: 0, ratedGames: 0, provisional: false, expires: null, state: "TX" },
+  ]);
+  const index = buildIndex(entries);
+  expect(lookupById(index, " 23456789 ").name).toBe("SMITH, JOHN");
+  expect(searchByName(index, "jane smith").map((e) => e.uscfId)).toEqual(["12345678"]);
+  expect(searchByName(index, "smith")).toHaveLength(2);
+});
+
+test("flags expired and unknown memberships", () => {
+  const index = buildIndex(parseSupplement(FILE));
+  const players = [
+    { id: "a", name: "Jane", uscfId: "12345678" },
+    { id: "b", name: "John", uscfId: "23456789" },
+    { id: "c", name: "Kim", uscfId: "99999999" },
+    { id: "d", name: "Alex", uscfId: "34567890" },
+  ];
+  expect(membershipProblems(players, index, "2026-10-19")).toEqual([
+    { playerId: "b", name: "John", uscfId: "23456789", problem: "membership expired 2026-01-31" },
+    { playerId: "c", name: "Kim", uscfId: "99999999", problem: "not in the rating supplement" },
+  ]);
+});
+
+test("keeps one supplement per month in storage", () => {
+  const storage = memoryStorage();
+  saveSupplement("2026-09", parseSupplement(FILE), storage);
+  saveSupplement("2026-10", parseSupplement(FILE).slice(0, 1), storage);
+  expect(listSupplementMonths(storage)).toEqual(["2026-10", "2026-09"]);
+  expect(lookupById(loadSupplement("2026-09", storage), "23456789")).toMatchObject({ rating: 812, provisional: true });
+  expect(lookupById(loadSupplement("2026-10", storage), "23456789")).toBeNull();
+  expect(() => saveSupplement("October", [], storage)).toThrow(/2026-10/);
+});
@@ -0,0 +1,121 @@
+// src/services/ratings.js
+// Exported functions:
+// - effectiveGames(rating, ratedGames) -> N', the weight of the pre-event rating in games
+// - ratingGames(player, byId) -> [{ oppId, oppRating, score }] for the games actually played
+// - estimateRating(player, games) -> { newRating, change, special } (USCF formulas)
+// - performanceRating(games) -> average opponent rating + 400 * (wins - losses) / games
+// - estimateRatings(players) -> Map id -> { preRating, newRating, change, performance, games, provisional }
+//
+// An estimate of the US Chess regular rating update, for parents and players. It is not the
+// official calculation: floors, dual ratings and opponents' other events are not known here.
+// - K = 800 / (N' + m), m games this event, N' = min(N, 50 / sqrt(0.662 + 0.00000739 (2569 - R)^2))
+//   (N' = min(N, 50) from 2355 up); N is player.ratedGames, taken as unlimited when unknown.
+// - standard formula: R + K (S - E) + bonus, bonus = max(0, K (S - E) - 14 sqrt(max(m, 4)))
+//   for three or more games.
+// - special formula for unrated and provisional players (eight games or fewer): the rating R
+//   at which sum PWe(R, Ri) + N' PWe(R, R0) = S + N' / 2, with PWe the linear winning
+//   expectancy clamped at 400 points. When a range of R solves it, its middle is taken, or its
+//   edge for a perfect or zero score (all wins: best opponent + 400).
+// Unrated opponents count with their own estimate from a first pass over the rated games only.
+// Byes and forfeits are not rated.
+
+const BONUS_THRESHOLD = 14;
+const RATING_FLOOR = 100;
+
+export function effectiveGames(rating, ratedGames) {
+  if (!rating) return 0;
+  const cap = rating > 2355 ? 50 : 50 / Math.sqrt(0.662 + 0.00000739 * (2569 - rating) ** 2);
+  return ratedGames == null ? cap : Math.min(ratedGames, cap);
+}
+
+export function ratingGames(p, byId, ratingOf = (o) => o.rating || 0) {
+  return (p.results || [])
+    .filter((r) => !r.isBye && !r.forfeit && r.oppId && byId.has(r.oppId))
+    .map((r) => ({ oppId: r.oppId, oppRating: ratingOf(byId.get(r.oppId)), score: r.result }))
+    .filter((g) => g.oppRating > 0);
+}
+
+function pwe(r, ri) {
+  if (r <= ri - 400) return 0;
+  if (r >= ri + 400) return 1;
+  return 0.5 + (r - ri) / 800;
+}
+
+function specialFormula(r0, nEff, games, score) {
+  const f = (r) => games.reduce((s, g) => s + pwe(r, g.oppRating), 0) + nEff * pwe(r, r0);
+  const target = score + nEff / 2;
+  const ratings = games.map((g) => g.oppRating).concat(nEff ? [r0] : []);
+  let lo = Math.min(...ratings) - 400;
+  let hi = Math.max(...ratings) + 400;
+  if (f(lo) >= target) return lo;
+  if (f(hi) <= target) return hi;
+  // f is non-decreasing and piecewise linear: find where it first reaches and last leaves target
+  const search = (reach) => {
+    let a = lo;
+    let b = hi;
+    for (let i = 0; i < 60; i++) {
+      const mid = (a + b) / 2;
+      if (reach ? f(mid) >= target : f(mid) > target) b = mid;
+      else a = mid;
+    }
+    return b;
+  };
+  return (search(true) + search(false)) / 2;
+}
+
+export function estimateRating(p, games) {
+  const r0 = p.rating || 0;
+  const m = games.length;
+  if (!m) return { newRating: r0 || null, change: 0, special: false };
+  const score = games.reduce((s, g) => s + g.score, 0);
+  const nEff = effectiveGames(r0, p.ratedGames);
+  const special = !r0 || (p.ratedGames != null && p.ratedGames <= 8);
+
+  let rating;
+  if (special) {
+    rating = specialFormula(r0, nEff, games, score);
+  } else {
+    const k = 800 / (nEff + m);
+    const expected = games.reduce((s, g) => s + 1 / (1 + 10 ** (-(r0 - g.oppRating) / 400)), 0);
+    const gain = k * (score - expected);
+    const bonus = m >= 3 ? Math.max(0, gain - BONUS_THRESHOLD * Math.sqrt(Math.max(m, 4))) : 0;
+    rating = r0 + gain + bonus;
+  }
+  const newRating = Math.max(RATING_FLOOR, Math.round(rating));
+  return { newRating, change: r0 ? newRating - r0 : null, special };
+}
+
+export function performanceRating(games) {
+  if (!games.length) return null;
+  const avg = games.reduce((s, g) => s + g.oppRating, 0) / games.length;
+  const wins = games.filter((g) => g.score === 1).length;
+  const losses = games.filter((g) => g.score === 0).length;
+  return Math.round(avg + (400 * (wins - losses)) / games.length);
+}
+
+export function estimateRatings(players) {
+  const byId = new Map(players.map((p) => [p.id, p]));
+  // first pass: unrated players against their rated opponents only
+  const firstPass = new Map();
+  players.forEach((p) => {
+    if (p.rating) return;
+    const est = estimateRating(p, ratingGames(p, byId));
+    if (est.newRating) firstPass.set(p.id, est.newRating);
+  });
+  const ratingOf = (o) => o.rating || firstPass.get(o.id) || 0;
+
+  const out = new Map();
+  players.forEach((p) => {
+    const games = ratingGames(p, byId, ratingOf);
+    const { newRating, change } = estimateRating(p, games);
+    out.set(p.id, {
+      preRating: p.rating || null,
+      newRating,
+      change,
+      performance: performanceRating(games),
+      games: games.length,
+      provisional: !p.rating || (p.ratedGames != null && p.ratedGames + games.length < 26),
+    });
+  });
+  return out;
+}
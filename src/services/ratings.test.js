@@ -0,0 +1,37 @@
+import { effectiveGames, estimateRating, estimateRatings, performanceRating } from "./ratings";
+
+function player(id, rating, results = [], extra = {}) {
+  return { id, name: id, rating, results, ...extra };
+}
+
+function game(round, oppId, result) {
+  return { round, oppId, result, isBye: false };
+}
+
+test("established players use K from effective games plus the bonus", () => {
+  expect(effectiveGames(1500, null)).toBeCloseTo(16.57, 2);
+  expect(effectiveGames(1500, 10)).toBe(10);
+  const games = [1500, 1500, 1500, 1500].map((oppRating) => ({ oppRating, score: 1 }));
+  // K = 800 / (16.57 + 4), gain 4 - 2 expected, bonus gain - 14 * sqrt(4)
+  expect(estimateRating({ rating: 1500 }, games)).toMatchObject({ newRating: 1628, change: 128, special: false });
+});
+
+test("unrated players use the special formula", () => {
+  expect(estimateRating({ rating: 0 }, [{ oppRating: 800, score: 1 }, { oppRating: 1000, score: 1 }]).newRating).toBe(1400);
+  expect(estimateRating({ rating: 0 }, [{ oppRating: 1000, score: 1 }, { oppRating: 1000, score: 0 }]).newRating).toBe(1000);
+});
+
+test("section estimates skip byes and forfeits and rate unrated opponents first", () => {
+  const players = [
+    player("a", 1200, [game(1, "b", 1), { ...game(2, "c", 1), forfeit: true }, { round: 3, oppId: null, result: 1, isBye: true }]),
+    player("b", 0, [game(1, "a", 0), game(2, "d", 1)]),
+    player("c", 1000, [{ ...game(2, "a", 0), forfeit: true }]),
+    player("d", 900, [game(2, "b", 0)]),
+  ];
+  const est = estimateRatings(players);
+  // b: a loss to 1200 and a win over 900 -> 1050 in the first pass
+  expect(est.get("b")).toMatchObject({ newRating: 1050, games: 2, provisional: true });
+  expect(est.get("a")).toMatchObject({ games: 1, performance: 1450 });
+  expect(est.get("c")).toMatchObject({ games: 0, newRating: 1000, change: 0 });
+  expect(performanceRating([{ oppRating: 1200, score: 1 }, { oppRating: 1400, score: 0.5 }])).toBe(1500);
+});
@@ -0,0 +1,170 @@
+// src/services/rosterImport.js
+// Exported functions:
+// - ROSTER_FIELDS: the fields a column can map to
+// - guessMapping(headers) -> { field: column index or -1 } from the header names
+// - parseGrade(value) -> 0 for K, 1-12, or null when not a grade
+// - parseRequestedByes(value) -> [{ round, type }] or throws on something unreadable
+// - previewRoster(rows, mapping, { sections, existingPlayers, defaultSectionId, overrides, ratingLookup }) -> preview rows
+// - rosterReport(preview) -> { accepted, rejected, warnings, bySection }
+//
+// Registration spreadsheets come in as CSV/TSV (see delimited.js). Each row of the preview is
+// { row, player, sectionId, sectionName, eligibility, suggestedSectionId, errors, warnings,
+// accepted }: rows with errors are left out of the import, warnings are only shown. Checks: a
+// name is required; ratings must be whole numbers from 0 to 3000; USCF IDs have eight digits
+// and appear once (in the file and in the section already); the section must exist and still
+// take entries; the grade is K or 1-12; requested byes read like "3" or "3H" (half point) and
+// "4Z" (zero point), several separated by commas, semicolons or spaces. The same name twice in
+// one section is only a warning, as siblings and namesakes do happen. School fills the team
+// field used for team standings.
+// Each entry is checked against its section's eligibility rules (eligibility.js); an ineligible
+// row is an error unless the TD gives a reason to override it, which is kept on the player as
+// eligibilityOverride. Rows with no section go to the best-fitting unlocked section.
+
+import { eligibilityProblems, suggestSections } from "./eligibility";
+
+export const ROSTER_FIELDS = ["name", "uscfId", "rating", "grade", "school", "section", "byes"];
+
+const ALIASES = {
+  name: ["name", "player", "player name", "full name", "student"],
+  uscfId: ["uscfid", "uscf id", "uscf", "id", "member id", "uscf #"],
+  rating: ["rating", "uscf rating", "regular rating"],
+  grade: ["grade", "gr"],
+  school: ["school", "team", "club"],
+  section: ["section", "division"],
+  byes: ["byes", "requested byes", "bye requests", "bye"],
+};
+
+export function guessMapping(headers = []) {
+  const lower = headers.map((h) => String(h).trim().toLowerCase());
+  const mapping = {};
+  ROSTER_FIELDS.forEach((field) => {
+    mapping[field] = lower.findIndex((h) => ALIASES[field].includes(h));
+  });
+  return mapping;
+}
+
+export function parseGrade(value) {
+  const v = String(value == null ? "" : value).trim().toUpperCase();
+  if (v === "K" || v === "KG" || v === "0") return 0;
+  if (/^\d{1,2}$/.test(v) && Number(v) >= 1 && Number(v) <= 12) return Number(v);
+  return null;
+}
+
+export function parseRequestedByes(value) {
+  const tokens = String(value || "").toUpperCase().split(/[\s,;]+/).filter(Boolean);
+  return tokens.map((t) => {
+    const m = t.match(/^R?(\d+)([HZU]?)$/) || t.match(/^([HZU])R?(\d+)$/);
+    if (!m) throw new Error(`cannot read bye request "${t}"`);
+    const [round, kind] = /^\d/.test(m[1]) ? [m[1], m[2]] : [m[2], m[1]];
+    return { round: Number(round), type: kind === "Z" || kind === "U" ? "zero" : "half" };
+  });
+}
+
+const normalizeName = (name) => String(name).toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+
+// sections: [{ id, name, locked, eligibility }]; existingPlayers: { [sectionId]: players already there }
+// overrides: { [row]: reason } lets ineligible rows in; ratingLookup: see eligibility.js
+export function previewRoster(
+  rows = [],
+  mapping = {},
+  { sections = [], existingPlayers = {}, defaultSectionId = null, overrides = {}, ratingLookup = null } = {}
+) {
+  const cell = (cells, field) => (mapping[field] >= 0 ? String(cells[mapping[field]] || "").trim() : "");
+  const byName = new Map(sections.map((s) => [s.name.trim().toLowerCase(), s]));
+  const seenIds = new Map();
+  const seenNames = new Map();
+  Object.entries(existingPlayers).forEach(([sectionId, players]) => {
+    players.forEach((p) => {
+      if (p.uscfId) seenIds.set(String(p.uscfId), `already in ${sections.find((s) => s.id === sectionId)?.name || "the event"}`);
+      seenNames.set(sectionId + "|" + normalizeName(p.name), "already entered");
+    });
+  });
+
+  return rows.map((cells, i) => {
+    const errors = [];
+    const warnings = [];
+    const name = cell(cells, "name");
+    if (!name) errors.push("no name");
+
+    const ratingText = cell(cells, "rating");
+    let rating = 0;
+    let ratedGames = null;
+    if (ratingText && !/^unr/i.test(ratingText)) {
+      const provisional = ratingText.match(/\/?P(\d+)$/i);
+      if (provisional) ratedGames = Number(provisional[1]);
+      rating = Number(ratingText.replace(/\/?P\d+$/i, ""));
+      if (!Number.isInteger(rating) || rating < 0 || rating > 3000) errors.push(`bad rating "${ratingText}"`);
+    }
+
+    const uscfId = cell(cells, "uscfId") || null;
+    if (uscfId && !/^\d{8}$/.test(uscfId)) errors.push(`bad USCF ID "${uscfId}"`);
+    else if (uscfId && seenIds.has(uscfId)) errors.push(`duplicate USCF ID ${uscfId} (${seenIds.get(uscfId)})`);
+    if (uscfId && !seenIds.has(uscfId)) seenIds.set(uscfId, `row ${i + 2}`);
+
+    const gradeText = cell(cells, "grade");
+    const grade = gradeText ? parseGrade(gradeText) : null;
+    if (gradeText && grade === null) errors.push(`bad grade "${gradeText}"`);
+
+    // without a section column or a default section, the best-fitting open section is taken
+    const sectionText = cell(cells, "section");
+    const entrant = { rating, grade, uscfId };
+    const open = sections.filter((x) => !x.locked);
+    const suggested = suggestSections(entrant, open, { ratingLookup })[0] || null;
+    let section = sectionText ? byName.get(sectionText.toLowerCase()) : sections.find((x) => x.id === defaultSectionId);
+    if (!section && !sectionText && suggested) {
+      section = suggested;
+      warnings.push(`section ${section.name} suggested from rating and grade`);
+    }
+    if (!section) errors.push(sectionText ? `no section named "${sectionText}"` : "no section given");
+    else if (section.locked) errors.push(`section ${section.name} is locked`);
+
+    let eligibilityOverride = null;
+    const problems = section ? eligibilityProblems(entrant, section.eligibility, { ratingLookup }) : [];
+    const overrideReason = String(overrides[i + 2] || "").trim();
+    if (problems.length && overrideReason) {
+      eligibilityOverride = { reason: overrideReason, problems };
+      warnings.push(`entered by TD override (${overrideReason}): ${problems.join(", ")}`);
+    } else if (problems.length) {
+      const hint = suggested && suggested !== section ? ` - ${suggested.name} fits` : "";
+      errors.push(`not eligible for ${section.name}: ${problems.join(", ")}${hint}`);
+    }
+
+    let requestedByes = [];
+    try {
+      requestedByes = parseRequestedByes(cell(cells, "byes"));
+    } catch (err) {
+      errors.push(err.message);
+    }
+
+    if (name && section) {
+      const key = section.id + "|" + normalizeName(name);
+      if (seenNames.has(key)) warnings.push(`same name as a player ${seenNames.get(key)}`);
+      seenNames.set(key, `on row ${i + 2}`);
+    }
+
+    return {
+      row: i + 2, // spreadsheet row, counting the header
+      player: { name, uscfId, rating, ratedGames, grade, team: cell(cells, "school") || null, requestedByes, eligibilityOverride },
+      sectionId: section ? section.id : null,
+      sectionName: section ? section.name : sectionText || null,
+      eligibility: problems,
+      suggestedSectionId: suggested ? suggested.id : null,
+      errors,
+      warnings,
+      accepted: errors.length === 0,
+    };
+  });
+}
+
+export function rosterReport(preview = []) {
+  const bySection = {};
+  preview.filter((r) => r.accepted).forEach((r) => {
+    bySection[r.sectionName] = (bySection[r.sectionName] || 0) + 1;
+  });
+  return {
+    accepted: preview.filter((r) => r.accepted).length,
+    rejected: preview.filter((r) => !r.accepted).map(({ row, player, errors }) => ({ row, name: player.name, errors })),
+    warnings: preview.filter((r) => r.warnings.length).map(({ row, player, warnings }) => ({ row, name: player.name, warnings })),
+    bySection,
+  };
+}
@@ -0,0 +1,58 @@
+import { parseDelimited } from "./delimited";
+import { guessMapping, parseRequestedByes, previewRoster, rosterReport } from "./rosterImport";
+
+const sections = [
+  { id: "s1", name: "K-3", locked: false },
+  { id: "s2", name: "Open", locked: true },
+];
+
+const FILE = [
+  "Player Name,USCF ID,Rating,Grade,School,Section,Byes",
+  '"Lee, Ana",30000001,812/P9,2,Oak Elementary,K-3,"3, 4Z"',
+  "Kim Bo,30000001,700,K,Oak Elementary,K-3,",
+  "Cruz Dee,3000,abc,14,Pine,K-5,x",
+  "Old Timer,30000009,1200,,,K-3,",
+  "Ray Eve,,unr.,3,Pine,Open,",
+].join("\n");
+
+test("maps columns by header and reads ratings, grades and requested byes", () => {
+  const { headers, rows } = parseDelimited(FILE);
+  const mapping = guessMapping(headers);
+  expect(mapping).toEqual({ name: 0, uscfId: 1, rating: 2, grade: 3, school: 4, section: 5, byes: 6 });
+  expect(parseRequestedByes("R2 h5; 4z")).toEqual([{ round: 2, type: "half" }, { round: 5, type: "half" }, { round: 4, type: "zero" }]);
+
+  const preview = previewRoster(rows, mapping, { sections, existingPlayers: { s1: [{ name: "Old  Timer", uscfId: null }] } });
+  expect(preview[0]).toMatchObject({
+    row: 2,
+    accepted: true,
+    sectionId: "s1",
+    player: { name: "Lee, Ana", uscfId: "30000001", rating: 812, ratedGames: 9, grade: 2, team: "Oak Elementary", requestedByes: [{ round: 3, type: "half" }, { round: 4, type: "zero" }] },
+  });
+  expect(preview[1]).toMatchObject({ accepted: false, errors: ["duplicate USCF ID 30000001 (row 2)"] });
+  expect(preview[2].errors).toEqual(['bad rating "abc"', 'bad USCF ID "3000"', 'bad grade "14"', 'no section named "K-5"', 'cannot read bye request "X"']);
+  expect(preview[3]).toMatchObject({ accepted: true, warnings: ["same name as a player already entered"] });
+  expect(preview[4]).toMatchObject({ accepted: false, errors: ["section Open is locked"] });
+
+  expect(rosterReport(preview)).toMatchObject({ accepted: 2, bySection: { "K-3": 2 } });
+  expect(rosterReport(preview).rejected.map((r) => r.row)).toEqual([3, 4, 6]);
+});
+
+test("ineligible rows need an override, and rows with no section get the best fit", () => {
+  const ruled = [
+    { id: "k3", name: "K-3", locked: false, eligibility: { minRating: null, maxRating: 999, minGrade: 0, maxGrade: 3, allowUnrated: true, ratingAsOf: null } },
+    { id: "open", name: "Open", locked: false, eligibility: null },
+  ];
+  const { headers, rows } = parseDelimited(["Name,Rating,Grade,Section", "Ng Al,1100,2,K-3", "Ode Bea,700,1,", "Poe Cy,1300,6,"].join("\n"));
+  const mapping = guessMapping(headers);
+
+  const preview = previewRoster(rows, mapping, { sections: ruled });
+  expect(preview[0]).toMatchObject({ accepted: false, errors: ["not eligible for K-3: rating 1100 is above 999 - Open fits"] });
+  expect(preview[1]).toMatchObject({ accepted: true, sectionId: "k3", warnings: ["section K-3 suggested from rating and grade"] });
+  expect(preview[2]).toMatchObject({ accepted: true, sectionId: "open" });
+
+  const overridden = previewRoster(rows, mapping, { sections: ruled, overrides: { 2: "rating dropped since" } });
+  expect(overridden[0]).toMatchObject({
+    accepted: true,
+    player: { eligibilityOverride: { reason: "rating dropped since", problems: ["rating 1100 is above 999"] } },
+  });
+});
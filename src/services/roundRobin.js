@@ -0,0 +1,59 @@
+// src/services/roundRobin.js
+// Exported functions:
+// - bergerTable(n) -> array of rounds, each an array of [white, black] seed numbers (1-based, n even)
+// - bergerSchedule(players, { double, maxRounds }) -> [{ number, pairings }] ready for startNextRound
+//
+// Seeds follow rating order. With an odd field the last seed number is a dummy and whoever
+// meets it sits out that round (a rotating bye, scored as a zero-point bye so it never counts as
+// the pairing bye). A double round robin plays the table twice with colors reversed in the
+// second cycle. maxRounds cuts the schedule short (quads of five and six play only three rounds).
+
+import { seedCompare } from "./pairingEngine";
+
+// FIDE Berger tables: seed n meets the player x with 2x = r + 1 (mod n - 1) and keeps the
+// colors alternating; every other pair a + b = r + 1 (mod n - 1) and white is the player
+// for whom (black - white) mod (n - 1) is odd.
+export function bergerTable(n) {
+  const m = n - 1;
+  const mod = (v) => ((v % m) + m) % m;
+  const rounds = [];
+  for (let r = 1; r <= m; r++) {
+    const boards = [];
+    for (let x = 1; x <= m; x++) {
+      if (mod(2 * x) === mod(r + 1)) boards.push(r % 2 === 1 ? [x, n] : [n, x]);
+    }
+    for (let a = 1; a <= m; a++) {
+      for (let b = a + 1; b <= m; b++) {
+        if (mod(a + b) !== mod(r + 1)) continue;
+        boards.push(mod(b - a) % 2 === 1 ? [a, b] : [b, a]);
+      }
+    }
+    rounds.push(boards);
+  }
+  return rounds;
+}
+
+export function bergerSchedule(playersRaw = [], { double = false, maxRounds = 0 } = {}) {
+  const players = playersRaw.filter((p) => !p.withdrawn).slice().sort(seedCompare);
+  if (players.length < 2) throw new Error("A round robin needs at least two players");
+  const n = players.length % 2 === 0 ? players.length : players.length + 1;
+  const idOf = (seed) => (seed <= players.length ? players[seed - 1].id : null);
+
+  const table = bergerTable(n);
+  const cycles = double ? [false, true] : [false];
+  const schedule = [];
+  cycles.forEach((reversed) => {
+    table.forEach((boards) => {
+      const pairings = [];
+      let bye = null;
+      boards.forEach(([w, b]) => {
+        const [whiteId, blackId] = reversed ? [idOf(b), idOf(w)] : [idOf(w), idOf(b)];
+        if (!whiteId || !blackId) bye = whiteId || blackId;
+        else pairings.push({ whiteId, blackId, isBye: false, result: null, tdNote: null });
+      });
+      if (bye) pairings.push({ whiteId: bye, blackId: null, isBye: true, byeType: "zero", result: "0-0", tdNote: "rotating bye" });
+      schedule.push({ number: schedule.length + 1, pairings });
+    });
+  });
+  return maxRounds ? schedule.slice(0, maxRounds) : schedule;
+}
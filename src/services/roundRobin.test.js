@@ -0,0 +1,23 @@
+import { bergerTable, bergerSchedule } from "./roundRobin";
+
+test("matches the FIDE Berger table for six players", () => {
+  expect(bergerTable(6)).toEqual([
+    [[1, 6], [2, 5], [3, 4]],
+    [[6, 4], [1, 2], [5, 3]],
+    [[2, 6], [3, 1], [4, 5]],
+    [[6, 5], [1, 4], [2, 3]],
+    [[3, 6], [5, 1], [4, 2]],
+  ]);
+});
+
+test("odd fields rotate the bye and double round robins reverse colors", () => {
+  const players = ["a", "b", "c"].map((id, i) => ({ id, name: id, rating: 1500 - i * 100 }));
+  const schedule = bergerSchedule(players, { double: true });
+  expect(schedule).toHaveLength(6);
+  const byes = schedule.slice(0, 3).map((r) => r.pairings.find((p) => p.isBye).whiteId);
+  expect(byes.sort()).toEqual(["a", "b", "c"]);
+  expect(schedule[0].pairings.find((p) => p.isBye)).toMatchObject({ byeType: "zero", result: "0-0" });
+  const first = schedule[0].pairings.find((p) => !p.isBye);
+  const secondCycle = schedule[3].pairings.find((p) => !p.isBye);
+  expect([secondCycle.whiteId, secondCycle.blackId]).toEqual([first.blackId, first.whiteId]);
+});
@@ -0,0 +1,41 @@
+// src/services/teams.js
+// Exported functions:
+// - teamStandings(players, teamScoring) -> [{ team, score, counting, members, ...tiebreaks }] best first
+//
+// teamScoring (section doc): { topN, tiebreaks }. A team scores the sum of its topN best
+// individual scores; tiebreaks are summed over those same counting players, in order
+// (any key of TIEBREAKS in tiebreaks.js: median, buchholz, sb, cumulative, ...).
+
+import { computeTieBreaks } from "./tiebreaks";
+
+export const DEFAULT_TEAM_SCORING = { topN: 4, tiebreaks: ["median", "buchholz", "cumulative"] };
+
+export function teamStandings(playersRaw = [], teamScoring = DEFAULT_TEAM_SCORING) {
+  const { topN = DEFAULT_TEAM_SCORING.topN, tiebreaks = DEFAULT_TEAM_SCORING.tiebreaks } = teamScoring || {};
+  const players = playersRaw.map((p) => ({ ...p }));
+  computeTieBreaks(players);
+
+  const byTeam = new Map();
+  players.forEach((p) => {
+    if (!p.team) return;
+    if (!byTeam.has(p.team)) byTeam.set(p.team, []);
+    byTeam.get(p.team).push(p);
+  });
+
+  const teams = Array.from(byTeam.entries()).map(([team, members]) => {
+    const counting = members.slice().sort((a, b) => (b.score || 0) - (a.score || 0) || (b.rating || 0) - (a.rating || 0)).slice(0, topN);
+    const row = { team, members, counting, score: +counting.reduce((s, p) => s + (p.score || 0), 0).toFixed(3) };
+    tiebreaks.forEach((key) => {
+      row[key] = +counting.reduce((s, p) => s + (p[key] || 0), 0).toFixed(3);
+    });
+    return row;
+  });
+
+  return teams.sort((a, b) => {
+    if (b.score !== a.score) return b.score - a.score;
+    for (const key of tiebreaks) {
+      if (b[key] !== a[key]) return b[key] - a[key];
+    }
+    return a.team.localeCompare(b.team);
+  });
+}
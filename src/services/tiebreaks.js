@@ -0,0 +1,144 @@
+// src/services/tiebreaks.js
+// Exported functions:
+// - TIEBREAKS: every tiebreak key computeTieBreaks sets
+// - TIEBREAK_LABELS, TIEBREAK_ORDER (default order by section format)
+// - computeTieBreaks(players, { rounds }) -> modifies players with one field per tiebreak key
+// - sortStandings(players, order) -> players sorted by score, then the tiebreaks in order
+// - rankStandings(players, order) -> sorted copies with place and placeLabel ("3-5" while tied)
+//
+// Tiebreaks:
+// - median: USCF modified median - Solkoff minus the lowest opponent for a plus score, the
+//   highest for a minus score, both for an even score (two from each end from nine rounds on)
+// - buchholz: Solkoff, the sum of the opponents' scores
+// - cumulative: sum of the running score after each round, less every unplayed point
+// - oppCumulative: sum of the opponents' cumulative scores
+// - h2h: points scored against the players on the same score
+// - mostBlacks: games played with Black
+// - sb: Sonneborn-Berger, opponents' scores weighted by the points scored against them
+// - koya: points scored against opponents on 50% or more
+//
+// Unplayed games (byes, forfeits, rounds missed) follow the FIDE virtual-opponent rule: for the
+// player's own unplayed round R the opponent is a virtual player worth
+// SPR + (1 - SfPR) + 0.5 * (n - R), SPR being the player's score before round R and SfPR what
+// the unplayed round scored; and an opponent's own unplayed games count as draws when their
+// score is used by someone else. n is the number of rounds played so far.
+
+import { seedCompare } from "./pairingEngine";
+
+export const TIEBREAKS = ["median", "buchholz", "cumulative", "oppCumulative", "h2h", "mostBlacks", "sb", "koya"];
+
+export const TIEBREAK_LABELS = {
+  median: "Mod. median",
+  buchholz: "Solkoff",
+  cumulative: "Cumul",
+  oppCumulative: "Opp. cumul",
+  h2h: "H2H",
+  mostBlacks: "Blacks",
+  sb: "SB",
+  koya: "Koya",
+};
+
+// Default tiebreak order by section format
+export const TIEBREAK_ORDER = {
+  swiss: ["median", "buchholz", "cumulative", "oppCumulative"],
+  roundrobin: ["sb", "h2h", "koya"],
+};
+
+const isPlayed = (r) => r && !r.isBye && !r.forfeit && r.oppId;
+const round3 = (v) => +v.toFixed(3);
+
+export function computeTieBreaks(players, { rounds } = {}) {
+  const byId = new Map(players.map((p) => [p.id, p]));
+  const n = rounds || Math.max(0, ...players.flatMap((p) => (p.results || []).map((r) => r.round)));
+  const entry = (p, round) => (p.results || []).find((r) => r.round === round);
+
+  // score with the player's unplayed games counted as draws, used whenever they are an opponent
+  const adjusted = new Map(
+    players.map((p) => {
+      let total = 0;
+      for (let r = 1; r <= n; r++) {
+        const e = entry(p, r);
+        total += isPlayed(e) ? e.result : 0.5;
+      }
+      return [p.id, total];
+    })
+  );
+
+  players.forEach((p) => {
+    const score = p.score || 0;
+    const opp = [];
+    let sb = 0;
+    let h2h = 0;
+    let koya = 0;
+    let run = 0;
+    let cum = 0;
+    for (let r = 1; r <= n; r++) {
+      const e = entry(p, r);
+      const points = e ? e.result || 0 : 0;
+      let value;
+      if (isPlayed(e) && byId.has(e.oppId)) {
+        const o = byId.get(e.oppId);
+        value = adjusted.get(o.id);
+        if ((o.score || 0) === score) h2h += points;
+        if ((o.score || 0) >= n / 2) koya += points;
+      } else {
+        value = run + (1 - points) + 0.5 * (n - r);
+      }
+      opp.push(value);
+      sb += value * points;
+      run += points;
+      cum += isPlayed(e) ? run : run - points;
+    }
+
+    const sorted = opp.slice().sort((a, b) => a - b);
+    const cut = n >= 9 ? 2 : 1;
+    let kept = sorted;
+    if (score > n / 2) kept = sorted.slice(cut);
+    else if (score < n / 2) kept = sorted.slice(0, Math.max(0, sorted.length - cut));
+    else kept = sorted.slice(cut, Math.max(cut, sorted.length - cut));
+
+    p.buchholz = round3(opp.reduce((s, v) => s + v, 0));
+    p.median = round3(kept.reduce((s, v) => s + v, 0));
+    p.sb = round3(sb);
+    p.cumulative = round3(cum);
+    p.h2h = round3(h2h);
+    p.koya = round3(koya);
+    p.mostBlacks = (p.colors || []).filter((c) => c === "B").length;
+  });
+
+  players.forEach((p) => {
+    const oppCum = (p.results || []).filter(isPlayed).reduce((s, r) => s + (byId.get(r.oppId)?.cumulative || 0), 0);
+    p.oppCumulative = round3(oppCum);
+  });
+}
+
+function tiedOn(a, b, order) {
+  return (a.score || 0) === (b.score || 0) && order.every((key) => (a[key] || 0) === (b[key] || 0));
+}
+
+// Standings: score first, then the tiebreaks in order. Returns a new sorted array.
+export function sortStandings(players, order = TIEBREAK_ORDER.swiss) {
+  return players.slice().sort((a, b) => {
+    if ((b.score || 0) !== (a.score || 0)) return (b.score || 0) - (a.score || 0);
+    for (const key of order) {
+      if ((b[key] || 0) !== (a[key] || 0)) return (b[key] || 0) - (a[key] || 0);
+    }
+    return seedCompare(a, b);
+  });
+}
+
+// Players still level after every tiebreak share their places: two tied for third both get
+// place 3 and placeLabel "3-4".
+export function rankStandings(players, order = TIEBREAK_ORDER.swiss) {
+  const sorted = sortStandings(players, order);
+  const ranked = [];
+  let start = 0;
+  while (start < sorted.length) {
+    let end = start + 1;
+    while (end < sorted.length && tiedOn(sorted[start], sorted[end], order)) end++;
+    const placeLabel = end - start > 1 ? `${start + 1}-${end}` : String(start + 1);
+    for (let i = start; i < end; i++) ranked.push({ ...sorted[i], place: start + 1, placeLabel, tied: end - start > 1 });
+    start = end;
+  }
+  return ranked;
+}
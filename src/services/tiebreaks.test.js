@@ -0,0 +1,47 @@
+import { computeTieBreaks, rankStandings } from "./tiebreaks";
+
+function player(id, score, results = [], extra = {}) {
+  return { id, name: id, rating: 1500, score, results, ...extra };
+}
+
+// an opponent whose own games were all played, scoring pts[i] in round i + 1
+function opponent(id, pts) {
+  return player(id, pts.reduce((s, v) => s + v, 0), pts.map((result, i) => ({ round: i + 1, oppId: "x", result, isBye: false })));
+}
+
+function game(round, oppId, result) {
+  return { round, oppId, result, isBye: false };
+}
+
+test("unplayed games use the FIDE virtual opponent", () => {
+  const players = [
+    player("a", 2, [game(1, "b", 1), { ...game(2, "c", 1), forfeit: true }]),
+    player("b", 0, [game(1, "a", 0)]),
+    player("c", 0, [{ ...game(2, "a", 0), forfeit: true }]),
+  ];
+  computeTieBreaks(players);
+  // a: b's adjusted score (0 + a draw for round 2) plus a virtual opponent worth 1 + (1 - 1) + 0
+  expect(players[0]).toMatchObject({ buchholz: 1.5, sb: 1.5, cumulative: 2 });
+  // c: virtual opponents in both rounds, 0 + 1 + 0.5 and 0 + 1 + 0
+  expect(players[2]).toMatchObject({ buchholz: 2.5, sb: 0 });
+});
+
+test("modified median cuts by plus, minus or even score", () => {
+  const opps = () => [opponent("o1", [1, 0, 0, 0]), opponent("o2", [1, 1, 0, 0]), opponent("o3", [1, 1, 1, 0]), opponent("o4", [1, 1, 1, 1])];
+  const median = (pts) => {
+    const p = player("p", pts.reduce((s, v) => s + v, 0), pts.map((r, i) => game(i + 1, "o" + (i + 1), r)));
+    computeTieBreaks([p, ...opps()]);
+    return [p.buchholz, p.median];
+  };
+  expect(median([1, 1, 1, 0])).toEqual([10, 9]);
+  expect(median([0, 0, 1, 0])).toEqual([10, 6]);
+  expect(median([1, 1, 0, 0])).toEqual([10, 5]);
+});
+
+test("players level on every tiebreak share their places", () => {
+  const ranked = rankStandings(
+    [player("a", 2, [], { sb: 3 }), player("b", 2, [], { sb: 4 }), player("c", 2, [], { sb: 3 }), player("d", 1, [], { sb: 0 })],
+    ["sb"]
+  );
+  expect(ranked.map((p) => [p.id, p.placeLabel])).toEqual([["b", "1"], ["a", "2-3"], ["c", "2-3"], ["d", "4"]]);
+});
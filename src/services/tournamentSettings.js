@@ -0,0 +1,68 @@
+// src/services/tournamentSettings.js
+// Exported functions:
+// - RATING_SYSTEMS: { R, Q, B } -> label
+// - TOURNAMENT_DEFAULTS: the settings a new tournament starts with
+// - validateTournamentSettings(settings) -> cleaned settings, or throws on the first bad field
+//
+// The tournament doc (tournaments/{id}) holds the event-wide settings next to its sections.
+// Field names are the ones the exports read: the rating report (uscfReport.js) takes name,
+// startDate, endDate, city, state, zip, chiefTdId, assistantTdId, affiliateId, timeControl and
+// ratingSystem; the TRF export (trf.js) takes name, city, federation, startDate, endDate,
+// chiefArbiter (the chief TD's name) and timeControl; the membership check takes
+// supplementMonth and startDate. venue is for people; roundsPerSection is what lockSection
+// plans for a Swiss section unless told otherwise. Dates are YYYY-MM-DD.
+
+export const RATING_SYSTEMS = { R: "Regular", Q: "Quick", B: "Dual (regular and quick)" };
+
+export const TOURNAMENT_DEFAULTS = {
+  name: "",
+  startDate: null,
+  endDate: null,
+  venue: "",
+  city: "",
+  state: "",
+  zip: "",
+  federation: "USA",
+  timeControl: "",
+  roundsPerSection: 4,
+  ratingSystem: "R",
+  chiefArbiter: "",
+  chiefTdId: "",
+  assistantTdId: "",
+  affiliateId: "",
+  supplementMonth: null,
+};
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const USCF_ID = /^\d{8}$/;
+
+const text = (v) => (v == null ? "" : String(v).trim());
+
+export function validateTournamentSettings(settings = {}) {
+  const s = { ...TOURNAMENT_DEFAULTS };
+  Object.keys(TOURNAMENT_DEFAULTS).forEach((key) => {
+    if (settings[key] !== undefined) s[key] = typeof settings[key] === "string" ? settings[key].trim() : settings[key];
+  });
+
+  if (!text(s.name)) throw new Error("The tournament needs a name");
+  ["startDate", "endDate"].forEach((key) => {
+    s[key] = text(s[key]) || null;
+    if (s[key] && !DATE.test(s[key])) throw new Error("Dates must look like 2026-10-19");
+  });
+  if (s.startDate && !s.endDate) s.endDate = s.startDate;
+  if (s.startDate && s.endDate < s.startDate) throw new Error("The end date is before the start date");
+
+  const rounds = Number(s.roundsPerSection);
+  if (!Number.isInteger(rounds) || rounds < 1) throw new Error("Rounds per section must be a whole number from 1 up");
+  s.roundsPerSection = rounds;
+  if (!RATING_SYSTEMS[s.ratingSystem]) throw new Error("Rating type must be R (regular), Q (quick) or B (dual)");
+  ["chiefTdId", "assistantTdId"].forEach((key) => {
+    s[key] = text(s[key]);
+    if (s[key] && !USCF_ID.test(s[key])) throw new Error("TD IDs are 8-digit USCF IDs");
+  });
+  s.affiliateId = text(s.affiliateId).toUpperCase();
+  s.state = text(s.state).toUpperCase();
+  s.supplementMonth = text(s.supplementMonth) || null;
+  if (s.supplementMonth && !/^\d{4}-\d{2}$/.test(s.supplementMonth)) throw new Error("Supplement month must look like 2026-10");
+  return s;
+}
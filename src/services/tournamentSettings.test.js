@@ -0,0 +1,24 @@
+import { validateTournamentSettings } from "./tournamentSettings";
+
+test("settings are cleaned and filled in from the defaults", () => {
+  const s = validateTournamentSettings({ name: " Fall Scholastic ", startDate: "2026-10-24", state: "ar", roundsPerSection: "5", chiefTdId: "12345678" });
+  expect(s).toMatchObject({
+    name: "Fall Scholastic",
+    startDate: "2026-10-24",
+    endDate: "2026-10-24",
+    state: "AR",
+    roundsPerSection: 5,
+    ratingSystem: "R",
+    chiefTdId: "12345678",
+    supplementMonth: null,
+  });
+});
+
+test("bad settings are refused", () => {
+  expect(() => validateTournamentSettings({})).toThrow(/name/);
+  expect(() => validateTournamentSettings({ name: "X", startDate: "2026-10-24", endDate: "2026-10-23" })).toThrow(/before the start/);
+  expect(() => validateTournamentSettings({ name: "X", startDate: "10/24/2026" })).toThrow(/Dates/);
+  expect(() => validateTournamentSettings({ name: "X", roundsPerSection: 0 })).toThrow(/Rounds per section/);
+  expect(() => validateTournamentSettings({ name: "X", ratingSystem: "F" })).toThrow(/Rating type/);
+  expect(() => validateTournamentSettings({ name: "X", chiefTdId: "1234" })).toThrow(/8-digit/);
+});
@@ -0,0 +1,236 @@
+// src/services/trf.js
+// Exported functions:
+// - exportTrf(section, event) -> TRF16 text for a section as returned by exportSection
+//   event (optional): { name, city, federation, startDate, endDate, chiefArbiter, timeControl }
+// - parseTrf(text) -> section payload for importSection ({ name, plannedRounds, players, rounds, ... })
+//
+// FIDE Tournament Report File, 2016 edition. Player records ("001") are fixed-width:
+//   1-3 "001", 5-8 start rank, 10 sex, 11-13 title, 15-47 name, 49-52 rating, 54-56 federation,
+//   58-68 FIDE ID, 70-79 birth date, 81-84 points, 86-89 rank,
+//   then one 8-char block per round from column 92, ten columns apart:
+//   opponent start rank (4), color (w / b / -), result.
+// Results: 1 0 = played; + - forfeit win / loss; H half-point bye, Z zero-point bye,
+// U pairing-allocated (full-point) bye, F full-point bye; W D L unrated games.
+// Start ranks follow rating order. Tiebreak points have no TRF field, so they go on "###"
+// comment lines, which TRF readers skip. XXR (number of rounds) and XXC (initial color) are
+// the JaVaFo/bbpPairings extensions most pairing programs read.
+
+import { seedCompare, uid } from "./pairingEngine";
+import { computeTieBreaks, rankStandings, TIEBREAK_ORDER, TIEBREAK_LABELS } from "./tiebreaks";
+import { derivePlayerState } from "./playerState";
+
+const pad = (v, width, right = true) => {
+  const s = String(v == null ? "" : v).slice(0, width);
+  return right ? s.padStart(width) : s.padEnd(width);
+};
+
+// place value at 1-based column col of a line being built
+function put(line, col, text) {
+  const s = line.padEnd(col - 1 + text.length);
+  return s.slice(0, col - 1) + text + s.slice(col - 1 + text.length);
+}
+
+function byeCodeFor(pairing) {
+  if (pairing.byeType === "half") return pairing.result === "0.5-0" ? "H" : "Z";
+  if (pairing.byeType === "zero") return "Z";
+  if (pairing.result === "1-0") return pairing.byeType === "full" ? "U" : "F";
+  if (pairing.result === "0.5-0") return "H";
+  return "Z";
+}
+
+// result character for one side of a game ("w" or "b")
+function gameCode(result, side) {
+  const white = side === "w";
+  switch (result) {
+    case "1-0": return white ? "1" : "0";
+    case "0-1": return white ? "0" : "1";
+    case "½-½":
+    case "0.5-0.5": return "=";
+    case "1F-0F": return white ? "+" : "-";
+    case "0F-1F": return white ? "-" : "+";
+    case "0F-0F": return "-";
+    default: return " ";
+  }
+}
+
+export function exportTrf(section, event = {}) {
+  const players = (section.players || []).map((p) => ({ ...p }));
+  const rounds = (section.rounds || []).slice().sort((a, b) => a.number - b.number);
+  const startRank = new Map(players.slice().sort(seedCompare).map((p, i) => [p.id, i + 1]));
+  const order = section.tiebreaks || TIEBREAK_ORDER[section.format] || TIEBREAK_ORDER.swiss;
+  computeTieBreaks(players);
+  const ranked = rankStandings(players, order);
+  const rankOf = new Map(ranked.map((p) => [p.id, p.place]));
+
+  const lines = [];
+  const header = (code, value) => value && lines.push(`${code} ${value}`);
+  header("012", event.name ? `${event.name} - ${section.name}` : section.name);
+  header("022", event.city);
+  header("032", event.federation);
+  header("042", event.startDate);
+  header("052", event.endDate);
+  header("062", String(players.length));
+  header("072", String(players.filter((p) => p.rating).length));
+  header("092", section.format === "roundrobin" ? "Round robin" : "Individual: Swiss-System");
+  header("102", event.chiefArbiter);
+  header("122", event.timeControl);
+  header("XXR", String(section.plannedRounds || rounds.length));
+  const initialColor = section.drawnInitialColor || section.initialColor;
+  if (initialColor === "W" || initialColor === "B") header("XXC", initialColor === "W" ? "white1" : "black1");
+
+  ranked
+    .slice()
+    .sort((a, b) => startRank.get(a.id) - startRank.get(b.id))
+    .forEach((p) => {
+      let line = "001";
+      line = put(line, 5, pad(startRank.get(p.id), 4));
+      line = put(line, 10, pad(p.sex || "", 1, false));
+      line = put(line, 11, pad(p.title || "", 3, false));
+      line = put(line, 15, pad(p.name, 33, false));
+      line = put(line, 49, pad(p.fideRating || p.rating || "", 4));
+      line = put(line, 54, pad(p.federation || "", 3, false));
+      line = put(line, 58, pad(p.fideId || "", 11));
+      line = put(line, 70, pad(p.birthDate || "", 10, false));
+      line = put(line, 81, pad((p.score || 0).toFixed(1), 4));
+      line = put(line, 86, pad(rankOf.get(p.id), 4));
+      rounds.forEach((r, i) => {
+        const pairing = (r.pairings || []).find((x) => x.whiteId === p.id || x.blackId === p.id);
+        let block;
+        if (!pairing) block = "0000 - Z";
+        else if (pairing.isBye) block = "0000 - " + byeCodeFor(pairing);
+        else {
+          const side = pairing.whiteId === p.id ? "w" : "b";
+          const oppId = side === "w" ? pairing.blackId : pairing.whiteId;
+          block = `${pad(startRank.get(oppId), 4)} ${side} ${gameCode(pairing.result, side)}`;
+        }
+        line = put(line, 92 + i * 10, block);
+      });
+      lines.push(line.trimEnd());
+    });
+
+  lines.push("### Tiebreaks: " + order.map((key) => TIEBREAK_LABELS[key] || key).join(", "));
+  ranked.forEach((p) => {
+    lines.push(`### ${pad(startRank.get(p.id), 4)} ` + order.map((key) => pad((p[key] || 0).toFixed(2), 7)).join(" "));
+  });
+  return lines.join("\n") + "\n";
+}
+
+const PLAYED = { 1: 1, 0: 0, "=": 0.5, W: 1, D: 0.5, L: 0 };
+
+function gameResult(codeW, codeB) {
+  const forfeit = codeW === "+" || codeW === "-" || codeB === "+" || codeB === "-";
+  if (forfeit) {
+    if (codeW === "+") return "1F-0F";
+    if (codeB === "+") return "0F-1F";
+    return "0F-0F";
+  }
+  if (!(codeW in PLAYED) || !(codeB in PLAYED)) return null;
+  if (PLAYED[codeW] === 0.5) return "½-½";
+  return PLAYED[codeW] === 1 ? "1-0" : "0-1";
+}
+
+function byePairing(id, code) {
+  if (code === "H") return { whiteId: id, blackId: null, isBye: true, byeType: "half", result: "0.5-0", tdNote: "TRF import" };
+  if (code === "U" || code === "F") return { whiteId: id, blackId: null, isBye: true, byeType: "full", result: "1-0", tdNote: "TRF import" };
+  return { whiteId: id, blackId: null, isBye: true, byeType: "zero", result: "0-0", tdNote: "TRF import" };
+}
+
+export function parseTrf(text) {
+  const lines = String(text).split(/\r?\n/);
+  let name = "Imported";
+  let plannedRounds = 0;
+  let initialColor = "random";
+  const entries = [];
+  lines.forEach((line) => {
+    const code = line.slice(0, 3);
+    const value = line.slice(4).trim();
+    if (code === "012") name = value || name;
+    else if (code === "XXR") plannedRounds = Number(value) || 0;
+    else if (code === "XXC") initialColor = /^black/i.test(value) ? "B" : /^white/i.test(value) ? "W" : initialColor;
+    else if (code === "001") {
+      const rounds = [];
+      for (let col = 92; col <= line.length; col += 10) {
+        const block = line.slice(col - 1, col + 7);
+        if (!block.trim()) break;
+        rounds.push({ opp: Number(block.slice(0, 4)) || 0, color: block.charAt(5), code: block.charAt(7) });
+      }
+      entries.push({
+        startRank: Number(line.slice(4, 8)),
+        name: line.slice(14, 47).trim(),
+        rating: Number(line.slice(48, 52)) || 0,
+        federation: line.slice(53, 56).trim() || null,
+        fideId: line.slice(57, 68).trim() || null,
+        rounds,
+      });
+    }
+  });
+  if (!entries.length) throw new Error("No player records (001) in the TRF file");
+
+  const idOf = new Map(entries.map((e) => [e.startRank, uid()]));
+  const roundCount = Math.max(0, ...entries.map((e) => e.rounds.length));
+  const rounds = [];
+  for (let r = 0; r < roundCount; r++) {
+    const pairings = [];
+    entries.forEach((e) => {
+      const cell = e.rounds[r];
+      if (!cell) return;
+      if (!cell.opp) {
+        pairings.push(byePairing(idOf.get(e.startRank), cell.code));
+        return;
+      }
+      // each game is listed on both players' lines; take it from White's
+      if (cell.color !== "w") return;
+      const opp = entries.find((x) => x.startRank === cell.opp);
+      const oppCell = opp && opp.rounds[r];
+      if (!oppCell || oppCell.opp !== e.startRank) throw new Error(`Round ${r + 1}: ${e.name} and start rank ${cell.opp} do not list each other`);
+      pairings.push({
+        whiteId: idOf.get(e.startRank),
+        blackId: idOf.get(opp.startRank),
+        isBye: false,
+        result: gameResult(cell.code, oppCell.code),
+        tdNote: null,
+      });
+    });
+    // boards ordered like the other pairings: games first, byes last
+    pairings.sort((a, b) => Number(a.isBye) - Number(b.isBye));
+    rounds.push({ number: r + 1, pairings });
+  }
+
+  // score, opponents, colors, results and hadBye follow from the rounds just rebuilt
+  const state = derivePlayerState([], rounds);
+  const players = entries.map((e) => {
+    const id = idOf.get(e.startRank);
+    return {
+      id,
+      name: e.name,
+      uscfId: null,
+      fideId: e.fideId,
+      federation: e.federation,
+      rating: e.rating,
+      ratedGames: null,
+      team: null,
+      family: null,
+      club: null,
+      requestedByes: [],
+      score: 0,
+      opponents: [],
+      colors: [],
+      results: [],
+      hadBye: false,
+      ...state[id],
+      floatHistory: [],
+      withdrawn: false,
+    };
+  });
+
+  return {
+    name,
+    // imported as Swiss whatever the original system: there is no Berger schedule to resume from
+    format: "swiss",
+    initialColor,
+    plannedRounds: plannedRounds || roundCount,
+    locked: true,
+    players,
+    rounds,
+  };
+}
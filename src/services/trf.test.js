@@ -0,0 +1,56 @@
+import { exportTrf, parseTrf } from "./trf";
+
+const g = (whiteId, blackId, result) => ({ whiteId, blackId, isBye: false, result, tdNote: null });
+
+const section = {
+  name: "Open",
+  format: "swiss",
+  plannedRounds: 3,
+  initialColor: "W",
+  players: [
+    { id: "a", name: "Alpha, Ann", rating: 2000, score: 2, results: [{ round: 1, oppId: "b", result: 1 }, { round: 2, oppId: "e", result: 1 }], colors: ["W", "B"] },
+    { id: "b", name: "Bravo, Ben", rating: 1900, score: 1, results: [{ round: 1, oppId: "a", result: 0 }, { round: 2, oppId: "c", result: 1, forfeit: true }], colors: ["B"] },
+    { id: "c", name: "Charlie, Cy", rating: 1800, score: 0.5, results: [{ round: 1, oppId: "d", result: 0.5 }, { round: 2, oppId: "b", result: 0, forfeit: true }], colors: ["W"] },
+    { id: "d", name: "Delta, Di", rating: 1700, score: 1, results: [{ round: 1, oppId: "c", result: 0.5 }, { round: 2, oppId: null, result: 0.5, isBye: true, byeType: "half" }], colors: ["B"] },
+    { id: "e", name: "Echo, Ed", rating: 1600, score: 1, results: [{ round: 1, oppId: null, result: 1, isBye: true, byeType: "full" }, { round: 2, oppId: "a", result: 0 }], colors: ["W"] },
+  ],
+  rounds: [
+    { number: 1, pairings: [g("a", "b", "1-0"), g("c", "d", "½-½"), { whiteId: "e", blackId: null, isBye: true, byeType: "full", result: "1-0" }] },
+    { number: 2, pairings: [g("e", "a", "0-1"), g("b", "c", "1F-0F"), { whiteId: "d", blackId: null, isBye: true, byeType: "half", result: "0.5-0" }] },
+  ],
+};
+
+test("exports fixed-width player lines with per-round opponent, color and result", () => {
+  const text = exportTrf(section, { name: "Spring Open" });
+  const lines = text.split("\n");
+  expect(lines[0]).toBe("012 Spring Open - Open");
+  expect(lines).toContain("XXR 3");
+  const alpha = lines.find((l) => l.startsWith("001    1"));
+  expect(alpha.slice(14, 24)).toBe("Alpha, Ann");
+  expect(alpha.slice(48, 52)).toBe("2000");
+  expect(alpha.slice(80, 84)).toBe(" 2.0");
+  expect(alpha.slice(91)).toBe("   2 w 1     5 b 1");
+  const echo = lines.find((l) => l.startsWith("001    5"));
+  expect(echo.slice(91)).toBe("0000 - U     1 w 0");
+  expect(lines.find((l) => l.startsWith("001    2")).slice(101)).toBe("   3 w +");
+  expect(lines.find((l) => l.startsWith("001    4")).slice(101)).toBe("0000 - H");
+  expect(lines.some((l) => l.startsWith("### Tiebreaks: "))).toBe(true);
+});
+
+test("import rebuilds players, opponents and colors from the round columns", () => {
+  const imported = parseTrf(exportTrf(section));
+  expect(imported.plannedRounds).toBe(3);
+  expect(imported.initialColor).toBe("W");
+  const byName = new Map(imported.players.map((p) => [p.name, p]));
+  const id = (name) => byName.get(name).id;
+  expect(byName.get("Alpha, Ann")).toMatchObject({ score: 2, colors: ["W", "B"], opponents: [id("Bravo, Ben"), id("Echo, Ed")] });
+  // the forfeit leaves no opponent and no color behind
+  expect(byName.get("Bravo, Ben")).toMatchObject({ score: 1, colors: ["B"], opponents: [id("Alpha, Ann")] });
+  expect(byName.get("Delta, Di")).toMatchObject({ score: 1 });
+  expect(byName.get("Echo, Ed")).toMatchObject({ score: 1, hadBye: true });
+  expect(imported.rounds[1].pairings).toEqual([
+    expect.objectContaining({ whiteId: id("Bravo, Ben"), blackId: id("Charlie, Cy"), result: "1F-0F" }),
+    expect.objectContaining({ whiteId: id("Echo, Ed"), blackId: id("Alpha, Ann"), result: "0-1" }),
+    expect.objectContaining({ whiteId: id("Delta, Di"), isBye: true, byeType: "half", result: "0.5-0" }),
+  ]);
+});
@@ -0,0 +1,124 @@
+// src/services/uscfReport.js
+// Exported functions:
+// - validateRatingReport(event, sections) -> list of problems (empty when the report can go out)
+// - buildRatingReport(event, sections) -> { problems, files: [{ name, content }] | null }
+//
+// US Chess rating report in the CSV form of the three DBF exports: THEXPORT (event header),
+// TSEXPORT (one row per section) and TDEXPORT (one row per player and block of ten rounds).
+// TDEXPORT always carries all ten D_RND01-D_RND10 fields; unused ones are left blank.
+// Columns carry the DBF field names. A round cell is a result letter, the opponent's pair number
+// in four places and the color: "W   12B". Letters: W L D played, X forfeit win, F forfeit
+// loss, B full-point bye, H half-point bye, U unplayed.
+// event: { name, startDate, endDate, city, state, zip, chiefTdId, assistantTdId, affiliateId,
+//          timeControl, ratingSystem } - dates as YYYY-MM-DD, ratingSystem "R", "Q" or "B" (dual).
+// sections: as returned by exportSection ({ name, format, plannedRounds, uscfMode, players, rounds }).
+// Only rated sections (uscfMode) go in; quad pools hold no games and are skipped.
+
+import { seedCompare } from "./pairingEngine";
+
+const ROUNDS_PER_RECORD = 10;
+const USCF_ID = /^\d{8}$/;
+const AFFILIATE_ID = /^[A-Z]\d{7}$/i;
+
+function ratedSections(sections) {
+  return sections.filter((s) => s.uscfMode !== false && s.format !== "quads");
+}
+
+export function validateRatingReport(event = {}, sections = []) {
+  const problems = [];
+  if (!event.name) problems.push("Event: no event name");
+  if (!event.startDate || !event.endDate) problems.push("Event: start and end dates are required");
+  if (!USCF_ID.test(event.chiefTdId || "")) problems.push("Event: chief TD needs an 8-digit USCF ID");
+  if (!AFFILIATE_ID.test(event.affiliateId || "")) problems.push("Event: affiliate needs a USCF affiliate ID (a letter and seven digits)");
+  const rated = ratedSections(sections);
+  if (!rated.length) problems.push("Event: no rated sections");
+
+  rated.forEach((s) => {
+    const rounds = s.rounds || [];
+    (s.players || []).forEach((p) => {
+      if (!p.uscfId) problems.push(`${s.name}: ${p.name} has no USCF ID`);
+      else if (!USCF_ID.test(String(p.uscfId))) problems.push(`${s.name}: ${p.name} has an invalid USCF ID (${p.uscfId})`);
+    });
+    if (!rounds.length) problems.push(`${s.name}: no rounds were played`);
+    if (s.plannedRounds && rounds.length < s.plannedRounds) {
+      problems.push(`${s.name}: only ${rounds.length} of ${s.plannedRounds} rounds were paired`);
+    }
+    rounds.forEach((r) => {
+      (r.pairings || []).forEach((pp, board) => {
+        if (!pp.isBye && !pp.result) problems.push(`${s.name}: round ${r.number}, board ${board + 1} has no result`);
+      });
+    });
+  });
+  return problems;
+}
+
+const csvCell = (v) => {
+  const s = v == null ? "" : String(v);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+const csv = (rows) => rows.map((row) => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+const dbfDate = (d) => String(d || "").replace(/-/g, "");
+
+function roundCell(pairing, playerId, pairNumber) {
+  if (!pairing) return "U";
+  if (pairing.isBye) {
+    if (pairing.result === "1-0") return "B";
+    if (pairing.result === "0.5-0") return "H";
+    return "U";
+  }
+  const white = pairing.whiteId === playerId;
+  const opp = String(pairNumber.get(white ? pairing.blackId : pairing.whiteId) || "").padStart(4);
+  const letter = {
+    "1-0": white ? "W" : "L",
+    "0-1": white ? "L" : "W",
+    "½-½": "D",
+    "0.5-0.5": "D",
+    "1F-0F": white ? "X" : "F",
+    "0F-1F": white ? "F" : "X",
+    "0F-0F": "F",
+  }[pairing.result];
+  return `${letter || "U"}${opp}${white ? "W" : "B"}`;
+}
+
+export function buildRatingReport(event = {}, sections = []) {
+  const problems = validateRatingReport(event, sections);
+  if (problems.length) return { problems, files: null };
+  const rated = ratedSections(sections);
+
+  const header = [
+    ["H_NAME", "H_TOT_SECT", "H_BEG_DATE", "H_END_DATE", "H_CITY", "H_ST", "H_ZIPCODE", "H_CTD_ID", "H_ATD_ID", "H_AFF_ID"],
+    [event.name, rated.length, dbfDate(event.startDate), dbfDate(event.endDate), event.city, event.state, event.zip,
+      event.chiefTdId, event.assistantTdId, event.affiliateId],
+  ];
+
+  const sectionRows = [["S_SEC_NUM", "S_SEC_NAME", "S_R_SYSTEM", "S_CTD_ID", "S_TRN_TYPE", "S_TOT_RNDS", "S_LST_PAIR", "S_TIME_CTL", "S_BEG_DATE", "S_END_DATE"]];
+  const detailRows = [["D_SEC_NUM", "D_PAIR_NUM", "D_REC_SEQN", "D_MEM_ID"].concat(
+    Array.from({ length: ROUNDS_PER_RECORD }, (_, i) => "D_RND" + String(i + 1).padStart(2, "0"))
+  )];
+
+  rated.forEach((s, index) => {
+    const secNum = index + 1;
+    const rounds = (s.rounds || []).slice().sort((a, b) => a.number - b.number);
+    const players = (s.players || []).slice().sort(seedCompare);
+    const pairNumber = new Map(players.map((p, i) => [p.id, i + 1]));
+    sectionRows.push([secNum, s.name, event.ratingSystem || "R", event.chiefTdId, s.format === "roundrobin" ? "R" : "S",
+      rounds.length, players.length, event.timeControl, dbfDate(event.startDate), dbfDate(event.endDate)]);
+    players.forEach((p) => {
+      const cells = rounds.map((r) => roundCell((r.pairings || []).find((x) => x.whiteId === p.id || x.blackId === p.id), p.id, pairNumber));
+      for (let seq = 0; seq * ROUNDS_PER_RECORD < Math.max(cells.length, 1); seq++) {
+        const chunk = cells.slice(seq * ROUNDS_PER_RECORD, (seq + 1) * ROUNDS_PER_RECORD);
+        while (chunk.length < ROUNDS_PER_RECORD) chunk.push("");
+        detailRows.push([secNum, pairNumber.get(p.id), seq + 1, p.uscfId].concat(chunk));
+      }
+    });
+  });
+
+  return {
+    problems,
+    files: [
+      { name: "THEXPORT.CSV", content: csv(header) },
+      { name: "TSEXPORT.CSV", content: csv(sectionRows) },
+      { name: "TDEXPORT.CSV", content: csv(detailRows) },
+    ],
+  };
+}
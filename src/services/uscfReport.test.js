@@ -0,0 +1,52 @@
+import { buildRatingReport } from "./uscfReport";
+
+const event = { name: "Spring Scholastic", startDate: "2026-04-11", endDate: "2026-04-11", chiefTdId: "12345678", affiliateId: "A6012345" };
+
+function section(overrides = {}) {
+  return {
+    name: "K-3",
+    format: "swiss",
+    plannedRounds: 2,
+    players: [
+      { id: "a", name: "Ann", rating: 900, uscfId: "30000001" },
+      { id: "b", name: "Ben", rating: 800, uscfId: "30000002" },
+      { id: "c", name: "Cy", rating: 700, uscfId: "30000003" },
+    ],
+    rounds: [
+      { number: 1, pairings: [{ whiteId: "a", blackId: "b", result: "1-0" }, { whiteId: "c", blackId: null, isBye: true, result: "1-0" }] },
+      { number: 2, pairings: [{ whiteId: "c", blackId: "a", result: "0F-1F" }, { whiteId: "b", blackId: null, isBye: true, result: "0.5-0" }] },
+    ],
+    ...overrides,
+  };
+}
+
+test("missing IDs, unplayed rounds and missing results block the export", () => {
+  const bad = section({
+    plannedRounds: 3,
+    players: [{ id: "a", name: "Ann", uscfId: null }, { id: "b", name: "Ben", uscfId: "123" }, { id: "c", name: "Cy", uscfId: "30000003" }],
+    rounds: [{ number: 1, pairings: [{ whiteId: "a", blackId: "b", result: null }] }],
+  });
+  const { problems, files } = buildRatingReport({ ...event, chiefTdId: "" }, [bad]);
+  expect(files).toBeNull();
+  expect(problems).toEqual([
+    "Event: chief TD needs an 8-digit USCF ID",
+    "K-3: Ann has no USCF ID",
+    "K-3: Ben has an invalid USCF ID (123)",
+    "K-3: only 1 of 3 rounds were paired",
+    "K-3: round 1, board 1 has no result",
+  ]);
+});
+
+test("writes the event, section and player/round records", () => {
+  const { problems, files } = buildRatingReport(event, [section(), section({ name: "Pool", format: "quads" })]);
+  expect(problems).toEqual([]);
+  const [header, sections, detail] = files.map((f) => f.content.trim().split("\r\n"));
+  expect(header[1]).toBe("Spring Scholastic,1,20260411,20260411,,,,12345678,,A6012345");
+  expect(sections[1]).toBe("1,K-3,R,12345678,S,2,3,,20260411,20260411");
+  expect(detail[0]).toBe("D_SEC_NUM,D_PAIR_NUM,D_REC_SEQN,D_MEM_ID,D_RND01,D_RND02,D_RND03,D_RND04,D_RND05,D_RND06,D_RND07,D_RND08,D_RND09,D_RND10");
+  expect(detail.slice(1)).toEqual([
+    "1,1,1,30000001,W   2W,X   3B,,,,,,,,",
+    "1,2,1,30000002,L   1B,H,,,,,,,,",
+    "1,3,1,30000003,B,F   1W,,,,,,,,",
+  ]);
+});